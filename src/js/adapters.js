@@ -0,0 +1,157 @@
+/* ============================================
+   SUBMIT ADAPTERS
+   Where a form's data goes - swap by name
+   without touching the form module
+   ============================================ */
+
+// name -> factory(options) returning { submit(data) }
+const adapters = new Map();
+
+// submit() resolves with the response body, or rejects with an Error
+// whose message is safe to show to the visitor
+export function registerAdapter(name, factory) {
+  adapters.set(name, factory);
+}
+
+// Site-wide default, set at build time (.env, see README.md):
+// VITE_FORM_ADAPTER names the adapter, VITE_FORM_ENDPOINT is its endpoint
+// and VITE_FORM_EMAIL the inbox for `mailto`. With no endpoint, development
+// uses the mock and production hands the data to the visitor's email app.
+const env = import.meta.env;
+const DEFAULT_ENDPOINT = env.VITE_FORM_ENDPOINT || '';
+const DEFAULT_EMAIL = env.VITE_FORM_EMAIL || 'luminadigital.my@gmail.com';
+export const DEFAULT_ADAPTER = env.VITE_FORM_ADAPTER || (DEFAULT_ENDPOINT ? 'json' : env.DEV ? 'mock' : 'mailto');
+
+// `name` unset: a form's own endpoint means `json`, else the build default.
+// The adapter is looked up on the first submit, so an unknown name fails
+// that form's submission rather than the page's init.
+export function createAdapter(name, options = {}) {
+  const adapterName = name || (options.endpoint ? 'json' : DEFAULT_ADAPTER);
+  const settings = {
+    ...options,
+    endpoint: options.endpoint || DEFAULT_ENDPOINT,
+    email: options.email || DEFAULT_EMAIL
+  };
+  let adapter = null;
+
+  return {
+    name: adapterName,
+
+    async submit(data) {
+      if (!adapter) {
+        const factory = adapters.get(adapterName);
+        if (!factory) {
+          console.error(`Lumina: no submit adapter registered as "${adapterName}"`);
+          throw new Error(NOT_CONNECTED);
+        }
+        adapter = factory(settings);
+      }
+
+      return adapter.submit(data);
+    }
+  };
+}
+
+// ============================================
+// BUILT-IN ADAPTERS
+// ============================================
+
+const NETWORK_ERROR = 'We could not reach the server. Please check your connection and try again.';
+const GENERIC_ERROR = 'Something went wrong. Please try again.';
+const NOT_CONNECTED = 'This form is not connected yet. Please contact us directly.';
+
+// Shown instead of a confirmation when a submission resolves with
+// `draft: true`: the data waits in the visitor's email app
+export const DRAFT_MESSAGE = 'Your email app has opened with the details - press send to finish.';
+
+// POST JSON; resolves with { response, body } or rejects on network failure
+async function postJson(url, data, headers = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      body: JSON.stringify(data)
+    });
+  } catch {
+    throw new Error(NETWORK_ERROR);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  return { response, body };
+}
+
+// POST the data as JSON to any endpoint
+registerAdapter('json', ({ endpoint, headers } = {}) => ({
+  async submit(data) {
+    if (!endpoint) throw new Error(NOT_CONNECTED);
+
+    const { response, body } = await postJson(endpoint, data, headers);
+    if (!response.ok) throw new Error(body.message || body.error || GENERIC_ERROR);
+    return body;
+  }
+}));
+
+// Formspree-style form endpoints: `endpoint` is the full URL, or pass the
+// form id ("xyzabcd"). Errors come back as { errors: [{ message }] }.
+registerAdapter('formspree', ({ endpoint, form } = {}) => ({
+  async submit(data) {
+    if (!endpoint && !form) throw new Error(NOT_CONNECTED);
+
+    const { response, body } = await postJson(endpoint || `https://formspree.io/f/${form}`, data);
+    if (!response.ok) {
+      const messages = (body.errors || []).map((error) => error.message).filter(Boolean);
+      throw new Error(messages.join(' ') || GENERIC_ERROR);
+    }
+    return body;
+  }
+}));
+
+// No backend: opens the visitor's email app with the data written out,
+// addressed to `email`. Nothing has been sent yet, so it resolves with
+// `draft: true`.
+function describe(value) {
+  if (Array.isArray(value)) return value.map(describe).filter(Boolean).join(', ');
+  if (value && typeof value === 'object') return describe(value.title ?? value.label ?? Object.values(value));
+  return value === null || value === undefined ? '' : String(value);
+}
+
+registerAdapter('mailto', ({ email, subject = `Enquiry from ${document.title}` } = {}) => ({
+  async submit(data) {
+    if (!email) throw new Error(NOT_CONNECTED);
+
+    const body = Object.entries(data)
+      .map(([key, value]) => [key, describe(value)])
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+
+    window.location.href = `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    return { ok: true, draft: true };
+  }
+}));
+
+// Local stand-in for a backend: resolves after a short delay with
+// `mock: true`, so confirmations can tell nothing was sent.
+// `fail: true` rejects instead, to preview the error state. Development
+// builds only, so a live form can never swallow a submission.
+if (import.meta.env.DEV) {
+  registerAdapter('mock', ({ delay = 900, fail = false } = {}) => ({
+    submit() {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          if (fail) {
+            reject(new Error('The mock endpoint rejected this submission.'));
+            return;
+          }
+
+          resolve({
+            ok: true,
+            mock: true,
+            reference: Math.random().toString(36).slice(2, 8).toUpperCase()
+          });
+        }, delay);
+      });
+    }
+  }));
+}
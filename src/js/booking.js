@@ -0,0 +1,621 @@
+/* ============================================
+   BOOKING MODULE
+   Multi-step booking: treatment -> date & time
+   -> contact details -> confirm
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { motion } from './motion.js';
+import { createController } from './lifecycle.js';
+import { createAdapter, DRAFT_MESSAGE } from './adapters.js';
+import { ensureHoneypot, isSpam } from './forms.js';
+import { formatPrice, parsePrice, slugify, escapeHtml } from './format.js';
+import { toMinutes, fromMinutes, isoDate, parseIsoDate } from './dates.js';
+import { normalizeMalaysianPhone, setFieldError, validateField, validateFields } from './validation.js';
+
+const STEPS = ['treatment', 'slot', 'details', 'confirm'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const dateLabel = new Intl.DateTimeFormat('en-MY', { weekday: 'short', day: 'numeric', month: 'short' });
+const longDateLabel = new Intl.DateTimeFormat('en-MY', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+const timeLabel = new Intl.DateTimeFormat('en-MY', { hour: 'numeric', minute: '2-digit' });
+
+// ============================================
+// AVAILABILITY
+// ============================================
+// {
+//   "slotMinutes": 30,                        slot grid and booked block size
+//   "leadDays": 1,                            first bookable day (0 = today)
+//   "horizonDays": 21,                        how many days to offer
+//   "hours": { "default": ["10:00", "22:00"], "sun": ["10:00", "18:00"], "mon": null },
+//   "closed": ["2026-12-25"],
+//   "booked": { "*": ["13:00"], "sat": ["10:00"], "2026-11-02": ["15:00", "15:30"] }
+// }
+// Weekday keys repeat every week; "*" applies to every day.
+
+// "Mon" / "Oct" for the calendar tiles
+function datePart(date, type) {
+  return dateLabel.formatToParts(date).find((part) => part.type === type)?.value || '';
+}
+
+// Start times on `date` with room for a treatment of `duration` minutes
+export function getSlots(availability, date, duration, now = new Date()) {
+  const { slotMinutes = 30, hours = {}, closed = [], booked = {} } = availability;
+  const iso = isoDate(date);
+  const weekday = WEEKDAYS[date.getDay()];
+
+  if (closed.includes(iso)) return [];
+
+  const open = weekday in hours ? hours[weekday] : hours.default;
+  if (!open) return [];
+
+  const taken = [...(booked['*'] || []), ...(booked[weekday] || []), ...(booked[iso] || [])]
+    .map(toMinutes);
+
+  // Today: nothing that has already started
+  const earliest = iso === isoDate(now) ? now.getHours() * 60 + now.getMinutes() : -1;
+
+  const slots = [];
+  const close = toMinutes(open[1]);
+
+  for (let start = toMinutes(open[0]); start + duration <= close; start += slotMinutes) {
+    if (start <= earliest) continue;
+
+    const end = start + duration;
+    const clash = taken.some((block) => block < end && block + slotMinutes > start);
+    if (!clash) slots.push(fromMinutes(start));
+  }
+
+  return slots;
+}
+
+// The bookable days, each with its slots for `duration`
+export function getDays(availability, duration, now = new Date()) {
+  const { leadDays = 1, horizonDays = 21 } = availability;
+  const days = [];
+
+  for (let offset = leadDays; offset < leadDays + horizonDays; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    days.push({ date, iso: isoDate(date), slots: getSlots(availability, date, duration, now) });
+  }
+
+  return days;
+}
+
+// Treatment cards: "90 min" and "RM 380" read from the markup
+export function readTreatment(card, selectors) {
+  const text = (selector) => card.querySelector(selector)?.textContent.trim() || '';
+  const title = text(selectors.title);
+
+  return {
+    id: card.dataset.treatmentId || slugify(title),
+    title,
+    duration: parseInt(card.dataset.duration || text(selectors.duration), 10) || 60,
+    price: parsePrice(text(selectors.price))
+  };
+}
+
+// ============================================
+// BOOKING WIDGET
+// ============================================
+// Markup: a form[data-booking] holding one [data-booking-step="..."] per step,
+// [data-booking-treatments], [data-booking-dates], [data-booking-slots],
+// [data-booking-summary], [data-booking-back] / [data-booking-next] and
+// a [data-booking-result] panel. Availability comes from an inline
+// <script type="application/json" data-booking-availability> or a URL.
+export class Booking {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = {
+      root: document,
+      availability: null,             // URL; falls back to the inline JSON
+      adapter: null,                  // Unset: `json` given an adapterOptions.endpoint, else the build default
+      adapterOptions: {},
+      currency: 'RM',
+      card: '.treatment-card',
+      title: '.treatment-card__title',
+      duration: '.treatment-card__duration',
+      price: '.treatment-card__price',
+      link: '.treatment-card__link',  // "Book" links preselect their treatment
+      ...options
+    };
+
+    const { root } = this.options;
+    const find = (name) => form.querySelector(`[data-booking-${name}]`);
+
+    this.steps = STEPS.map((name) => form.querySelector(`[data-booking-step="${name}"]`));
+    this.progress = Array.from(form.querySelectorAll('[data-booking-progress]'));
+    this.treatmentList = find('treatments');
+    this.dateList = find('dates');
+    this.slotList = find('slots');
+    this.summary = find('summary');
+    this.backButton = find('back');
+    this.nextButton = find('next');
+    this.result = find('result');
+    this.fields = Array.from(this.steps[2]?.querySelectorAll('input, textarea, select') || []);
+
+    this.treatments = Array.from(root.querySelectorAll(this.options.card))
+      .map((card) => ({ card, ...readTreatment(card, this.options) }));
+
+    this.adapter = createAdapter(this.options.adapter, this.options.adapterOptions);
+    this.availability = null;
+    this.step = 0;
+    this.state = { treatment: null, date: null, time: null };
+    this.submitting = false;
+    this.destroyed = false;
+    this.nextLabel = this.nextButton?.textContent.trim() || 'Continue';
+
+    this.onSubmit = this.onSubmit.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onChange = this.onChange.bind(this);
+    this.onFieldBlur = this.onFieldBlur.bind(this);
+    this.onBookLink = this.onBookLink.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.form.noValidate = true;
+    this.form.classList.add('is-enhanced');
+    this.honeypot = ensureHoneypot(this.form);
+
+    this.form.addEventListener('submit', this.onSubmit);
+    this.form.addEventListener('click', this.onClick);
+    this.form.addEventListener('change', this.onChange);
+    this.form.addEventListener('focusout', this.onFieldBlur);
+    document.addEventListener('click', this.onBookLink);
+
+    this.renderTreatments();
+    this.loadAvailability();
+    this.show(0, { animate: false, focus: false });
+  }
+
+  async loadAvailability() {
+    const url = this.options.availability;
+    const inline = this.form.querySelector('[data-booking-availability]');
+
+    try {
+      if (url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.availability = await response.json();
+      } else {
+        this.availability = JSON.parse(inline?.textContent || '{}');
+      }
+    } catch (error) {
+      console.warn('Lumina: could not load booking availability', error);
+      this.availability = null;
+    }
+
+    if (this.destroyed) return;
+    this.renderDates();
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  renderTreatments() {
+    if (!this.treatmentList) return;
+    const { currency } = this.options;
+
+    this.treatmentList.innerHTML = this.treatments.map(({ id, title, duration, price }) => `
+      <label class="booking__option">
+        <input type="radio" name="treatment" value="${escapeHtml(id)}">
+        <span class="booking__option-title">${escapeHtml(title)}</span>
+        <span class="booking__option-meta">${duration} min &middot; ${formatPrice(price, currency)}</span>
+      </label>
+    `).join('');
+  }
+
+  renderDates() {
+    if (!this.dateList) return;
+
+    const { treatment, date } = this.state;
+
+    if (!this.availability) {
+      this.dateList.innerHTML = '<p class="booking__empty">Online booking is unavailable right now. Please call us to book.</p>';
+      this.renderSlots();
+      return;
+    }
+
+    if (!treatment) {
+      this.dateList.innerHTML = '';
+      this.renderSlots();
+      return;
+    }
+
+    this.days = getDays(this.availability, treatment.duration);
+
+    // A new treatment may not fit the day or time picked before
+    const day = this.days.find(({ iso }) => iso === date);
+    if (!day || !day.slots.length) this.state.date = null;
+    if (!day?.slots.includes(this.state.time)) this.state.time = null;
+
+    this.dateList.innerHTML = this.days.map(({ date: day, iso, slots }) => {
+      const selected = iso === this.state.date;
+      return `
+        <button type="button" class="booking__date${selected ? ' is-selected' : ''}"
+          data-date="${iso}" aria-pressed="${selected}" ${slots.length ? '' : 'disabled'}
+          aria-label="${longDateLabel.format(day)}${slots.length ? '' : ', fully booked'}">
+          <span class="booking__date-weekday">${datePart(day, 'weekday')}</span>
+          <span class="booking__date-day">${day.getDate()}</span>
+          <span class="booking__date-month">${datePart(day, 'month')}</span>
+        </button>
+      `;
+    }).join('');
+
+    this.renderSlots();
+  }
+
+  renderSlots() {
+    if (!this.slotList) return;
+
+    const day = this.days?.find(({ iso }) => iso === this.state.date);
+
+    if (!day) {
+      this.slotList.innerHTML = this.availability && this.state.treatment
+        ? '<p class="booking__empty">Choose a date to see available times.</p>'
+        : '';
+      return;
+    }
+
+    this.slotList.innerHTML = day.slots.map((time) => {
+      const selected = time === this.state.time;
+      return `
+        <button type="button" class="booking__slot${selected ? ' is-selected' : ''}"
+          data-time="${time}" aria-pressed="${selected}">${this.formatTime(day.iso, time)}</button>
+      `;
+    }).join('');
+  }
+
+  renderSummary() {
+    if (!this.summary) return;
+
+    const { treatment, date, time } = this.state;
+    const value = (name) => this.form.elements[name]?.value.trim() || '';
+    const phone = value('phone');
+
+    const rows = [
+      ['Treatment', `${treatment.title} (${treatment.duration} min)`],
+      ['Date', longDateLabel.format(parseIsoDate(date))],
+      ['Time', this.formatTime(date, time)],
+      ['Name', value('name')],
+      ['Phone', normalizeMalaysianPhone(phone) || phone],
+      ['Email', value('email')],
+      ['Requests', value('notes')],
+      ['Total', formatPrice(treatment.price, this.options.currency)]
+    ];
+
+    this.summary.innerHTML = rows
+      .filter(([, text]) => text)
+      .map(([label, text]) => `<dt>${label}</dt><dd>${escapeHtml(text)}</dd>`)
+      .join('');
+  }
+
+  formatTime(iso, time) {
+    const date = parseIsoDate(iso);
+    date.setMinutes(toMinutes(time));
+    return timeLabel.format(date);
+  }
+
+  // ============================================
+  // STEPS
+  // ============================================
+
+  show(index, { animate = true, focus = true } = {}) {
+    this.step = index;
+    const name = STEPS[index];
+
+    this.steps.forEach((step, i) => {
+      if (step) step.hidden = i !== index;
+    });
+
+    this.progress.forEach((item) => {
+      const position = STEPS.indexOf(item.dataset.bookingProgress);
+      item.classList.toggle('is-complete', position < index);
+      if (position === index) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+
+    if (this.backButton) this.backButton.hidden = index === 0;
+    if (this.nextButton) {
+      this.nextButton.textContent = name === 'confirm' ? 'Confirm Booking' : this.nextLabel;
+    }
+
+    if (name === 'confirm') this.renderSummary();
+    this.setStepError('');
+
+    const step = this.steps[index];
+    if (!step) return;
+
+    if (animate && !motion.reduced) {
+      gsap.fromTo(step,
+        { autoAlpha: 0, y: 16 },
+        { autoAlpha: 1, y: 0, duration: 0.5, ease: 'power3.out', clearProps: 'all' }
+      );
+    }
+
+    // Move focus to the step heading so screen readers announce it
+    if (focus) {
+      const heading = step.querySelector('legend, [data-booking-heading]');
+      if (heading) {
+        heading.tabIndex = -1;
+        heading.focus({ preventScroll: true });
+      }
+    }
+  }
+
+  setStepError(message) {
+    const error = this.steps[this.step]?.querySelector('[data-booking-error]');
+    if (!error) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  // Checks the current step; shows why it can't continue
+  validateStep() {
+    const { treatment, date, time } = this.state;
+
+    switch (STEPS[this.step]) {
+      case 'treatment':
+        if (!treatment) return this.fail('Please choose a treatment.');
+        break;
+      case 'slot':
+        if (!this.availability) return this.fail('Online booking is unavailable right now.');
+        if (!date) return this.fail('Please choose a date.');
+        if (!time) return this.fail('Please choose a time.');
+        break;
+      case 'details': {
+        const invalid = validateFields(this.fields);
+        if (invalid.length) {
+          invalid[0].focus();
+          return false;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    return true;
+  }
+
+  fail(message) {
+    this.setStepError(message);
+    return false;
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  onSubmit(e) {
+    e.preventDefault();
+    if (this.submitting || !this.validateStep()) return;
+
+    if (STEPS[this.step] === 'confirm') {
+      this.submit();
+    } else {
+      this.show(this.step + 1);
+    }
+  }
+
+  onClick(e) {
+    if (e.target.closest('[data-booking-back]')) {
+      if (this.step > 0 && !this.submitting) this.show(this.step - 1);
+      return;
+    }
+
+    if (e.target.closest('[data-booking-reset]')) {
+      this.reset();
+      return;
+    }
+
+    const dateButton = e.target.closest('[data-date]');
+    if (dateButton && !dateButton.disabled) {
+      this.state.date = dateButton.dataset.date;
+      this.state.time = null;
+      this.setStepError('');
+      this.renderDates();
+      return;
+    }
+
+    const slotButton = e.target.closest('[data-time]');
+    if (slotButton) {
+      this.state.time = slotButton.dataset.time;
+      this.setStepError('');
+      this.renderSlots();
+      this.slotList.querySelector(`[data-time="${this.state.time}"]`)?.focus();
+    }
+  }
+
+  onChange(e) {
+    if (e.target.name !== 'treatment') return;
+    this.selectTreatment(e.target.value);
+  }
+
+  // Re-check a field once it has shown an error, so the message clears as it's fixed
+  onFieldBlur(e) {
+    if (!this.fields.includes(e.target)) return;
+    if (!e.target.hasAttribute('aria-invalid') && !e.target.value.trim()) return;
+    setFieldError(e.target, validateField(e.target));
+  }
+
+  // "Book" on a treatment card: preselect it and jump to the date step
+  onBookLink(e) {
+    const link = e.target.closest(this.options.link);
+    if (!link || this.submitting) return;
+
+    const treatment = this.treatments.find(({ card }) => card.contains(link));
+    if (!treatment) return;
+
+    if (this.form.classList.contains('is-complete')) this.reset({ focus: false });
+    this.selectTreatment(treatment.id);
+    if (this.step < 1) this.show(1, { focus: false });
+  }
+
+  selectTreatment(id) {
+    this.state.treatment = this.treatments.find((treatment) => treatment.id === id) || null;
+
+    const radio = Array.from(this.form.querySelectorAll('input[name="treatment"]'))
+      .find((input) => input.value === id);
+    if (radio) radio.checked = true;
+
+    this.setStepError('');
+    this.renderDates();
+  }
+
+  // ============================================
+  // SUBMISSION
+  // ============================================
+
+  async submit() {
+    const { treatment, date, time } = this.state;
+    const value = (name) => this.form.elements[name]?.value.trim() || '';
+
+    const booking = {
+      treatment: {
+        id: treatment.id,
+        title: treatment.title,
+        duration: treatment.duration,
+        price: treatment.price
+      },
+      date,
+      time,
+      name: value('name'),
+      phone: normalizeMalaysianPhone(value('phone')),
+      email: value('email'),
+      notes: value('notes')
+    };
+
+    // Bots see a confirmation; nothing is sent
+    if (isSpam(this.form)) {
+      this.showResult();
+      return;
+    }
+
+    this.setLoading(true);
+
+    try {
+      const response = await this.adapter.submit(booking);
+      if (this.destroyed) return;
+
+      this.markBooked(booking);
+      this.showResult(response);
+    } catch (error) {
+      if (this.destroyed) return;
+      this.setStepError(error.message || 'Something went wrong. Please try again.');
+    } finally {
+      if (!this.destroyed) this.setLoading(false);
+    }
+  }
+
+  setLoading(loading) {
+    this.submitting = loading;
+    this.form.classList.toggle('is-loading', loading);
+    this.form.setAttribute('aria-busy', String(loading));
+
+    if (this.nextButton) {
+      this.nextButton.disabled = loading;
+      this.nextButton.textContent = loading ? 'Confirming…' : 'Confirm Booking';
+    }
+    if (this.backButton) this.backButton.disabled = loading;
+  }
+
+  // Take the slot off the calendar for the rest of the visit
+  markBooked({ date, time, treatment }) {
+    if (!this.availability) return;
+
+    const { slotMinutes = 30 } = this.availability;
+    const booked = this.availability.booked || (this.availability.booked = {});
+    const blocks = booked[date] || (booked[date] = []);
+
+    for (let t = toMinutes(time); t < toMinutes(time) + treatment.duration; t += slotMinutes) {
+      blocks.push(fromMinutes(t));
+    }
+  }
+
+  showResult(response = null) {
+    this.form.classList.add('is-complete');
+    this.steps.forEach((step) => { if (step) step.hidden = true; });
+
+    if (!this.result) return;
+
+    const { treatment, date, time } = this.state;
+    const reference = response?.reference
+      ? `<p class="booking__reference">Reference <strong>${escapeHtml(response.reference)}</strong></p>`
+      : '';
+
+    // Only a real submission sent anything - not the mock, not a bot, and
+    // not an email still waiting in the visitor's mail app
+    const draft = Boolean(response?.draft);
+    const sent = response && !response.mock && !draft
+      ? ` We've sent the details to ${escapeHtml(this.form.elements.email?.value.trim() || 'your email')}.`
+      : '';
+    const title = draft ? 'One last step - send the email to book' : 'Thank you - your booking is confirmed';
+
+    this.result.innerHTML = `
+      <h4 class="booking__result-title" tabindex="-1">${title}</h4>
+      <p>${escapeHtml(treatment.title)} on ${longDateLabel.format(parseIsoDate(date))} at ${this.formatTime(date, time)}.${sent}</p>
+      ${draft ? `<p>${DRAFT_MESSAGE}</p>` : ''}
+      ${reference}
+      <button type="button" class="btn btn--outline" data-booking-reset>Book another treatment</button>
+    `;
+    this.result.hidden = false;
+    this.result.querySelector('.booking__result-title').focus({ preventScroll: true });
+
+    if (!motion.reduced) {
+      gsap.fromTo(this.result,
+        { autoAlpha: 0, y: 16 },
+        { autoAlpha: 1, y: 0, duration: 0.6, ease: 'power3.out', clearProps: 'all' }
+      );
+    }
+  }
+
+  reset({ focus = true } = {}) {
+    this.form.reset();
+    this.fields.forEach((field) => setFieldError(field, ''));
+    this.form.classList.remove('is-complete');
+    if (this.result) {
+      this.result.hidden = true;
+      this.result.innerHTML = '';
+    }
+
+    this.state = { treatment: null, date: null, time: null };
+    this.renderDates();
+    this.show(0, { focus });
+  }
+
+  destroy() {
+    this.destroyed = true;
+
+    this.form.removeEventListener('submit', this.onSubmit);
+    this.form.removeEventListener('click', this.onClick);
+    this.form.removeEventListener('change', this.onChange);
+    this.form.removeEventListener('focusout', this.onFieldBlur);
+    document.removeEventListener('click', this.onBookLink);
+
+    gsap.killTweensOf([...this.steps, this.result].filter(Boolean));
+    if (this.honeypot.created) this.honeypot.field.closest('.form-honeypot').remove();
+    this.form.classList.remove('is-enhanced', 'is-loading', 'is-complete');
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initBooking(options = {}) {
+  const { root = document, selector = '[data-booking]' } = options;
+
+  return createController({
+    key: 'booking',
+    selector,
+    root,
+    create: (form) => new Booking(form, { ...options, root })
+  });
+}
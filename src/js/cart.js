@@ -0,0 +1,421 @@
+/* ============================================
+   CART MODULE
+   localStorage-backed cart with a slide-out drawer
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { motion } from './motion.js';
+import { smoothScroll } from './smooth-scroll.js';
+import { createCleanupController } from './lifecycle.js';
+import { wrapFocus } from './focus.js';
+import { formatPrice, parsePrice, slugify, escapeHtml } from './format.js';
+
+// ============================================
+// CART STORE
+// ============================================
+export class Cart {
+  constructor(storageKey = 'lumina:cart') {
+    this.storageKey = storageKey;
+    this.items = new Map();        // id -> { id, title, category, price, image, quantity }
+    this.listeners = new Set();
+
+    this.onStorage = (e) => {
+      if (e.key !== this.storageKey) return;
+      this.load();
+      this.notify();
+    };
+
+    this.load();
+    window.addEventListener('storage', this.onStorage);
+  }
+
+  get count() {
+    let count = 0;
+    this.items.forEach((item) => { count += item.quantity; });
+    return count;
+  }
+
+  get subtotal() {
+    let subtotal = 0;
+    this.items.forEach((item) => { subtotal += item.price * item.quantity; });
+    return subtotal;
+  }
+
+  add(product, quantity = 1) {
+    const item = this.items.get(product.id);
+
+    if (item) {
+      item.quantity += quantity;
+    } else {
+      this.items.set(product.id, { ...product, quantity });
+    }
+
+    this.commit();
+  }
+
+  remove(id) {
+    this.items.delete(id);
+    this.commit();
+  }
+
+  // Quantity 0 removes the line
+  setQuantity(id, quantity) {
+    const item = this.items.get(id);
+    if (!item) return;
+
+    if (quantity <= 0) {
+      this.items.delete(id);
+    } else {
+      item.quantity = quantity;
+    }
+
+    this.commit();
+  }
+
+  clear() {
+    this.items.clear();
+    this.commit();
+  }
+
+  // Returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  commit() {
+    this.save();
+    this.notify();
+  }
+
+  load() {
+    this.items.clear();
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+      saved.forEach((item) => this.items.set(item.id, item));
+    } catch {
+      // Storage unavailable or corrupted: start empty
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.items.values())));
+    } catch {
+      // Storage unavailable (private mode): cart lives for this page only
+    }
+  }
+
+  destroy() {
+    window.removeEventListener('storage', this.onStorage);
+    this.listeners.clear();
+  }
+}
+
+// ============================================
+// PRODUCT CARDS
+// ============================================
+// Reads { id, title, category, price, image } from a product card's markup
+export function readProduct(card, selectors) {
+  const text = (selector) => card.querySelector(selector)?.textContent.trim() || '';
+  const title = text(selectors.title);
+  const image = card.querySelector(selectors.image);
+
+  return {
+    id: card.dataset.productId || slugify(title),
+    title,
+    category: text(selectors.category),
+    price: card.dataset.productPrice
+      ? parseFloat(card.dataset.productPrice)
+      : parsePrice(text(selectors.price)),
+    image: image?.currentSrc || image?.src || ''
+  };
+}
+
+// ============================================
+// CART DRAWER
+// ============================================
+export class CartDrawer {
+  constructor(cart, options = {}) {
+    this.cart = cart;
+    this.options = {
+      currency: 'RM',
+      title: 'Your Cart',
+      note: 'Demo store - checkout is disabled.',
+      ...options
+    };
+
+    this.isOpen = false;
+    this.lastFocus = null;
+    this.hideTimeout = null;
+
+    this.onClick = this.onClick.bind(this);
+    this.onKeydown = this.onKeydown.bind(this);
+
+    this.create();
+    this.render();
+    this.unsubscribe = cart.subscribe(() => this.render());
+  }
+
+  create() {
+    this.el = document.createElement('div');
+    this.el.className = 'cart-drawer';
+    this.el.hidden = true;
+    this.el.innerHTML = `
+      <div class="cart-drawer__overlay" data-cart-close></div>
+      <aside class="cart-drawer__panel" role="dialog" aria-modal="true" aria-labelledby="cart-drawer-title">
+        <header class="cart-drawer__header">
+          <h2 class="cart-drawer__title" id="cart-drawer-title">${this.options.title}</h2>
+          <button class="cart-drawer__close" type="button" aria-label="Close cart" data-cart-close>&times;</button>
+        </header>
+        <ul class="cart-drawer__items"></ul>
+        <p class="cart-drawer__empty">Your cart is empty.</p>
+        <footer class="cart-drawer__footer">
+          <div class="cart-drawer__subtotal">
+            <span>Subtotal</span>
+            <span class="cart-drawer__subtotal-value"></span>
+          </div>
+          <button class="btn btn--primary cart-drawer__checkout" type="button" disabled>Checkout</button>
+          <p class="cart-drawer__note">${this.options.note}</p>
+        </footer>
+      </aside>
+    `;
+
+    this.panel = this.el.querySelector('.cart-drawer__panel');
+    this.list = this.el.querySelector('.cart-drawer__items');
+    this.empty = this.el.querySelector('.cart-drawer__empty');
+    this.subtotal = this.el.querySelector('.cart-drawer__subtotal-value');
+    this.closeButton = this.el.querySelector('.cart-drawer__close');
+
+    this.el.addEventListener('click', this.onClick);
+    document.body.appendChild(this.el);
+  }
+
+  render() {
+    const { currency } = this.options;
+    const items = Array.from(this.cart.items.values());
+
+    // Re-rendering replaces the buttons: remember which one had focus
+    const active = this.list.contains(document.activeElement) ? document.activeElement : null;
+    const restore = active && {
+      id: active.closest('[data-cart-id]').dataset.cartId,
+      step: active.dataset.cartStep
+    };
+
+    this.list.innerHTML = items.map((item) => {
+      const id = escapeHtml(item.id);
+      const title = escapeHtml(item.title);
+
+      return `
+        <li class="cart-item" data-cart-id="${id}">
+          ${item.image ? `<img class="cart-item__image" src="${escapeHtml(item.image)}" alt="">` : ''}
+          <div class="cart-item__info">
+            <span class="cart-item__category">${escapeHtml(item.category)}</span>
+            <h3 class="cart-item__title">${title}</h3>
+            <span class="cart-item__price">${formatPrice(item.price, currency)}</span>
+            <div class="cart-item__quantity">
+              <button type="button" data-cart-step="-1" aria-label="Decrease quantity of ${title}">&minus;</button>
+              <span aria-live="polite">${item.quantity}</span>
+              <button type="button" data-cart-step="1" aria-label="Increase quantity of ${title}">+</button>
+            </div>
+          </div>
+          <div class="cart-item__aside">
+            <span class="cart-item__total">${formatPrice(item.price * item.quantity, currency)}</span>
+            <button class="cart-item__remove" type="button" data-cart-remove>Remove</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+
+    this.empty.hidden = items.length > 0;
+    this.subtotal.textContent = formatPrice(this.cart.subtotal, currency);
+
+    if (restore) {
+      const line = Array.from(this.list.children).find((li) => li.dataset.cartId === restore.id);
+      const button = restore.step && line?.querySelector(`[data-cart-step="${restore.step}"]`);
+      (button || this.closeButton).focus();
+    }
+  }
+
+  onClick(e) {
+    if (e.target.closest('[data-cart-close]')) {
+      this.close();
+      return;
+    }
+
+    const line = e.target.closest('[data-cart-id]');
+    if (!line) return;
+
+    const id = line.dataset.cartId;
+    const step = e.target.closest('[data-cart-step]');
+
+    if (step) {
+      const item = this.cart.items.get(id);
+      this.cart.setQuantity(id, item.quantity + parseInt(step.dataset.cartStep, 10));
+    } else if (e.target.closest('[data-cart-remove]')) {
+      this.cart.remove(id);
+    }
+  }
+
+  // Escape closes; Tab wraps inside the panel
+  onKeydown(e) {
+    if (e.key === 'Escape') {
+      this.close();
+      return;
+    }
+
+    wrapFocus(e, this.panel);
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.lastFocus = document.activeElement;
+
+    this.el.hidden = false;
+    document.body.classList.add('cart-open');
+    smoothScroll.stop('cart');
+    document.addEventListener('keydown', this.onKeydown);
+
+    // Next frame so the slide-in transition runs from the hidden state
+    requestAnimationFrame(() => {
+      this.el.classList.add('is-open');
+      this.closeButton.focus();
+    });
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    this.el.classList.remove('is-open');
+    document.body.classList.remove('cart-open');
+    smoothScroll.start('cart');
+    document.removeEventListener('keydown', this.onKeydown);
+
+    const hide = () => {
+      clearTimeout(this.hideTimeout);
+      if (!this.isOpen) this.el.hidden = true;
+    };
+    if (motion.reduced) {
+      hide();
+    } else {
+      // Timeout covers a close before the slide-in ever started
+      this.panel.addEventListener('transitionend', hide, { once: true });
+      this.hideTimeout = setTimeout(hide, 600);
+    }
+
+    this.lastFocus?.focus?.();
+  }
+
+  destroy() {
+    this.close();
+    clearTimeout(this.hideTimeout);
+    this.unsubscribe();
+    document.removeEventListener('keydown', this.onKeydown);
+    this.el.removeEventListener('click', this.onClick);
+    this.el.remove();
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initCart(options = {}) {
+  const {
+    root = document,
+    storageKey = 'lumina:cart',
+    currency = 'RM',
+    openOnAdd = true,
+    selectors: selectorOverrides = {}
+  } = options;
+
+  const selectors = {
+    card: '.product-card',
+    add: '.product-card__add',
+    title: '.product-card__title',
+    category: '.product-card__category',
+    price: '.product-card__price',
+    image: '.product-card__image',
+    toggle: '.nav__cart',
+    count: '.nav__cart-count',
+    ...selectorOverrides
+  };
+
+  const cart = new Cart(storageKey);
+  const drawer = new CartDrawer(cart, { currency });
+  const feedback = new Map();     // button -> timeout
+
+  function updateCount({ animate = false } = {}) {
+    root.querySelectorAll(selectors.count).forEach((count) => {
+      count.textContent = cart.count;
+      count.hidden = cart.count === 0;
+
+      if (animate && !motion.reduced) {
+        gsap.fromTo(count,
+          { scale: 1.6 },
+          { scale: 1, duration: 0.5, ease: 'back.out(3)', overwrite: true }
+        );
+      }
+    });
+  }
+
+  // Delegated, so cards rendered later just work
+  function onClick(e) {
+    const add = e.target.closest(selectors.add);
+    if (add && root.contains(add)) {
+      const card = add.closest(selectors.card);
+      if (!card) return;
+
+      e.preventDefault();
+      cart.add(readProduct(card, selectors));
+      showAdded(add);
+      if (openOnAdd) drawer.open();
+      return;
+    }
+
+    const toggle = e.target.closest(selectors.toggle);
+    if (toggle && root.contains(toggle)) {
+      e.preventDefault();
+      drawer.open();
+    }
+  }
+
+  // Brief "Added" confirmation on the card button
+  function showAdded(button) {
+    clearTimeout(feedback.get(button));
+    if (!button.dataset.label) button.dataset.label = button.textContent;
+
+    button.textContent = 'Added';
+    button.classList.add('is-added');
+
+    feedback.set(button, setTimeout(() => {
+      button.textContent = button.dataset.label;
+      button.classList.remove('is-added');
+      feedback.delete(button);
+    }, 1500));
+  }
+
+  updateCount();
+  const unsubscribe = cart.subscribe(() => updateCount({ animate: true }));
+  document.addEventListener('click', onClick);
+
+  const controller = createCleanupController(() => {
+    document.removeEventListener('click', onClick);
+    unsubscribe();
+    feedback.forEach((timeout, button) => {
+      clearTimeout(timeout);
+      button.textContent = button.dataset.label;
+      button.classList.remove('is-added');
+    });
+    drawer.destroy();
+    cart.destroy();
+  });
+
+  return { ...controller, cart, drawer };
+}
@@ -2,6 +2,27 @@
    CUSTOM CURSOR MODULE
    ============================================ */
 
+import { motion } from './motion.js';
+import { ticker, pointer } from './ticker.js';
+import { sound } from './sound.js';
+
+// Ring counts as settled once it is this close to the pointer
+const REST_THRESHOLD = 0.1;
+
+// Hover targets, resolved with closest() from whatever is under the pointer
+const TARGET_SELECTOR = '[data-cursor], [data-cursor-text], a, button, input[type="submit"], img, video';
+
+// ============================================
+// STATE REGISTRY
+// ============================================
+// Custom states for [data-cursor="name"]. Every hook is optional and
+// receives a context { cursor, target, dot, ring, mouse, pos }:
+//   enter  - the state became active
+//   leave  - the state stopped being active
+//   render - every frame while active; return true to keep frames coming
+// States without a plugin are pure CSS ([data-state="name"]).
+const states = new Map();
+
 export class Cursor {
   constructor() {
     this.dot = null;
@@ -15,19 +36,33 @@ export class Cursor {
     this.dotSpeed = 1;      // Instant follow
     this.ringSpeed = 0.15;  // Smooth lag
 
-    this.init();
+    this.active = false;
+    this.readyTimeout = null;
+    this.unsubscribePointer = null;
+    this.animate = this.animate.bind(this);
+    this.documentListeners = [];
+    this.hiddenReasons = new Set();   // 'touch' | 'away'
+
+    // State stack: bottom is 'default', hover sits above it, presses on top
+    this.stack = [{ state: 'default', text: '' }];
+    this.hoverEntry = null;
+    this.hoverTarget = null;
+    this.pressEntry = null;
+    this.activeEntry = null;
   }
 
+  // Pages opt in: main.js, or a template config with `cursor: true`
   init() {
-    // Check for touch device
-    if ('ontouchstart' in window) return;
+    // Already running - init() is safe to call again after destroy()
+    if (this.active) return;
+    this.active = true;
 
     this.createElements();
     this.bindEvents();
-    this.animate();
+    this.syncState();
 
     // Delay visibility for smooth entrance
-    setTimeout(() => {
+    this.readyTimeout = setTimeout(() => {
       document.body.classList.add('cursor-ready');
     }, 100);
   }
@@ -54,8 +89,18 @@ export class Cursor {
   }
 
   bindEvents() {
-    // Track mouse position
-    document.addEventListener('mousemove', (e) => {
+    // Hidden until a mouse or pen shows up (touch-first hybrids start hidden)
+    this.setHidden('away', true);
+
+    // Track pointer position (shared listener), wake the ring follow
+    this.unsubscribePointer = pointer.subscribe((e) => {
+      if (e.pointerType === 'touch') {
+        this.setHidden('touch', true);
+        return;
+      }
+
+      this.setHidden('touch', false);
+      this.setHidden('away', false);
       this.mouse.x = e.clientX;
       this.mouse.y = e.clientY;
 
@@ -64,71 +109,153 @@ export class Cursor {
         this.pos.x = this.mouse.x;
         this.pos.y = this.mouse.y;
       }
-    });
 
-    // Mouse enter/leave window
-    document.addEventListener('mouseenter', () => {
-      this.dot.style.opacity = '1';
-      this.ring.style.opacity = '1';
+      ticker.wake(this.animate);
     });
 
-    document.addEventListener('mouseleave', () => {
-      this.dot.style.opacity = '0';
-      this.ring.style.opacity = '0';
+    // Click effect (a tap hides the cursor instead)
+    this.listen('pointerdown', (e) => {
+      if (e.pointerType === 'touch') {
+        this.setHidden('touch', true);
+        return;
+      }
+      this.onClick();
+    });
+    this.listen('pointerup', () => this.onRelease());
+    this.listen('pointercancel', () => this.onRelease());
+
+    // Hover targets (delegated, so injected content just works)
+    this.listen('pointerover', (e) => {
+      if (e.pointerType === 'touch') return;
+      this.setHidden('away', false);
+      this.updateHover(e.target);
+    });
+    this.listen('pointerout', (e) => {
+      // relatedTarget is null when the pointer leaves the window
+      if (e.relatedTarget) return;
+      this.setHidden('away', true);
+      this.updateHover(null);
     });
+  }
 
-    // Click effect
-    document.addEventListener('mousedown', () => this.onClick());
-    document.addEventListener('mouseup', () => this.onRelease());
+  // The cursor hides while any reason applies
+  setHidden(reason, hidden) {
+    if (hidden) {
+      this.hiddenReasons.add(reason);
+    } else {
+      this.hiddenReasons.delete(reason);
+    }
+    document.body.classList.toggle('cursor-hidden', this.hiddenReasons.size > 0);
+  }
 
-    // Bind hover targets
-    this.bindHoverTargets();
+  // Document listener that destroy() can detach
+  listen(type, handler) {
+    document.addEventListener(type, handler);
+    this.documentListeners.push([type, handler]);
   }
 
-  bindHoverTargets() {
-    // Standard hover elements (links, buttons)
-    const hoverElements = document.querySelectorAll(
-      'a, button, [data-cursor="pointer"], input[type="submit"]'
-    );
+  registerState(name, plugin = {}) {
+    states.set(name, plugin);
+  }
 
-    hoverElements.forEach((el) => {
-      el.addEventListener('mouseenter', () => this.setState('hover'));
-      el.addEventListener('mouseleave', () => this.setState('default'));
-    });
+  // Cursor state for a hover target
+  resolveTarget(el) {
+    const text = el.dataset.cursorText || '';
 
-    // Media elements (images, videos)
-    const mediaElements = document.querySelectorAll(
-      'img, video, [data-cursor="media"]'
-    );
+    const custom = el.dataset.cursor;
+    if (custom) {
+      return { state: custom === 'pointer' ? 'hover' : custom, text, target: el };
+    }
 
-    mediaElements.forEach((el) => {
-      el.addEventListener('mouseenter', () => this.setState('media'));
-      el.addEventListener('mouseleave', () => this.setState('default'));
-    });
+    if (text) return { state: 'text', text, target: el };
+    if (el.matches('img, video')) return { state: 'media', text, target: el };
+    return { state: 'hover', text, target: el };
+  }
 
-    // Custom text cursor
-    const textElements = document.querySelectorAll('[data-cursor-text]');
-
-    textElements.forEach((el) => {
-      el.addEventListener('mouseenter', () => {
-        this.setText(el.dataset.cursorText);
-        this.setState('text');
-      });
-      el.addEventListener('mouseleave', () => {
-        this.setState('default');
-      });
-    });
+  updateHover(node) {
+    const target = node?.closest?.(TARGET_SELECTOR) || null;
+    if (target === this.hoverTarget) return;
+    this.hoverTarget = target;
+
+    // Swap the hover entry in place, so a press above it stays on top
+    if (target) {
+      const entry = this.resolveTarget(target);
+      if (this.hoverEntry) {
+        this.stack[this.stack.indexOf(this.hoverEntry)] = entry;
+      } else {
+        this.stack.splice(1, 0, entry);
+      }
+      this.hoverEntry = entry;
+    } else if (this.hoverEntry) {
+      this.stack.splice(this.stack.indexOf(this.hoverEntry), 1);
+      this.hoverEntry = null;
+    }
+
+    this.syncState();
+  }
 
-    // Hidden cursor
-    const hiddenElements = document.querySelectorAll('[data-cursor="hidden"]');
+  pushState(state, text = '') {
+    const entry = { state, text, target: this.hoverTarget };
+    this.stack.push(entry);
+    this.syncState();
+    return entry;
+  }
 
-    hiddenElements.forEach((el) => {
-      el.addEventListener('mouseenter', () => this.setState('hidden'));
-      el.addEventListener('mouseleave', () => this.setState('default'));
-    });
+  // Remove an entry (default: the top one) and fall back to the one below
+  popState(entry = this.stack[this.stack.length - 1]) {
+    const index = this.stack.indexOf(entry);
+    if (index <= 0) return;
+
+    this.stack.splice(index, 1);
+    if (entry === this.hoverEntry) {
+      this.hoverEntry = null;
+      this.hoverTarget = null;
+    }
+    this.syncState();
+  }
+
+  // Apply the top of the stack, running leave/enter hooks on change
+  syncState() {
+    // Not started: nothing to draw, init() applies the stack
+    if (!this.active) return;
+
+    const entry = this.stack[this.stack.length - 1];
+    if (entry === this.activeEntry) return;
+
+    const previous = this.activeEntry;
+    if (previous) states.get(previous.state)?.leave?.(this.context(previous));
+
+    this.activeEntry = entry;
+    if (entry.text) this.setText(entry.text);
+    this.ring.classList.toggle('has-text', Boolean(entry.text));
+    this.setState(entry.state);
+    states.get(entry.state)?.enter?.(this.context(entry));
+
+    this.wake();
+  }
+
+  context(entry) {
+    return {
+      cursor: this,
+      target: entry.target || null,
+      dot: this.dot,
+      ring: this.ring,
+      mouse: this.mouse,
+      pos: this.pos
+    };
+  }
+
+  // Request frames, e.g. from a plugin reacting to scroll
+  wake() {
+    if (this.active) ticker.wake(this.animate);
   }
 
   setState(state) {
+    // Audible cue on entering a hover or press state, not on falling back
+    if (state !== 'default' && state !== this.dot.dataset.state) {
+      sound.play(state === 'click' ? 'pop' : 'tick');
+    }
+
     this.dot.dataset.state = state;
     this.ring.dataset.state = state;
   }
@@ -138,18 +265,30 @@ export class Cursor {
   }
 
   onClick() {
-    this.setState('click');
+    if (!this.pressEntry) this.pressEntry = this.pushState('click');
   }
 
   onRelease() {
-    // Return to previous state
-    this.setState('default');
+    // Return to previous state (hover / text / media)
+    if (this.pressEntry) this.popState(this.pressEntry);
+    this.pressEntry = null;
   }
 
+  // Runs on the shared ticker; returns false once the ring has caught up
   animate() {
-    // Lerp for smooth ring follow
-    this.pos.x += (this.mouse.x - this.pos.x) * this.ringSpeed;
-    this.pos.y += (this.mouse.y - this.pos.y) * this.ringSpeed;
+    // Lerp for smooth ring follow (reduced motion: ring sticks to the dot)
+    const speed = motion.reduced ? this.dotSpeed : this.ringSpeed;
+    this.pos.x += (this.mouse.x - this.pos.x) * speed;
+    this.pos.y += (this.mouse.y - this.pos.y) * speed;
+
+    const settled =
+      Math.abs(this.mouse.x - this.pos.x) < REST_THRESHOLD &&
+      Math.abs(this.mouse.y - this.pos.y) < REST_THRESHOLD;
+
+    if (settled) {
+      this.pos.x = this.mouse.x;
+      this.pos.y = this.mouse.y;
+    }
 
     // Apply transforms
     this.dot.style.left = `${this.mouse.x}px`;
@@ -158,14 +297,197 @@ export class Cursor {
     this.ring.style.left = `${this.pos.x}px`;
     this.ring.style.top = `${this.pos.y}px`;
 
-    requestAnimationFrame(() => this.animate());
+    // Active plugin draws on top (and may keep the loop running)
+    const entry = this.activeEntry;
+    const busy = entry && states.get(entry.state)?.render?.(this.context(entry));
+
+    return !settled || Boolean(busy);
   }
 
-  // Public method to refresh bindings (after dynamic content)
+  // Hover is delegated, so new content needs no binding. Only drop
+  // a hover target that was removed from under the pointer.
   refresh() {
-    this.bindHoverTargets();
+    if (!this.active) return;
+
+    if (this.hoverTarget && !this.hoverTarget.isConnected) {
+      this.updateHover(null);
+    }
+  }
+
+  destroy() {
+    if (!this.active) return;
+    this.active = false;
+
+    ticker.sleep(this.animate);
+    this.unsubscribePointer();
+    clearTimeout(this.readyTimeout);
+
+    this.documentListeners.forEach(([type, handler]) => {
+      document.removeEventListener(type, handler);
+    });
+    this.documentListeners = [];
+
+    if (this.activeEntry) {
+      states.get(this.activeEntry.state)?.leave?.(this.context(this.activeEntry));
+    }
+    this.activeEntry = null;
+    this.stack = [{ state: 'default', text: '' }];
+    this.hoverEntry = null;
+    this.hoverTarget = null;
+    this.pressEntry = null;
+
+    this.dot.remove();
+    this.ring.remove();
+    this.dot = null;
+    this.ring = null;
+    this.text = null;
+    this.visible = false;
+
+    this.hiddenReasons.clear();
+    document.body.classList.remove('cursor-ready', 'cursor-hidden');
   }
 }
 
-// Auto-initialize
+// Shared instance, started by init()
 export const cursor = new Cursor();
+
+// ============================================
+// BUILT-IN STATES
+// ============================================
+
+// Media preview following the pointer:
+//   data-cursor="preview" data-cursor-preview="image-or-video.url"
+// or a hidden <img>/<video data-cursor-preview> inside the target
+// (lets the bundler rewrite the asset URL)
+cursor.registerState('preview', (() => {
+  let media = null;
+
+  return {
+    enter({ target, ring }) {
+      if (!target) return;
+
+      const source = target.querySelector('[data-cursor-preview]');
+      const url = target.dataset.cursorPreview;
+
+      if (source) {
+        media = source.cloneNode(true);
+        media.removeAttribute('hidden');
+        media.removeAttribute('data-cursor-preview');
+      } else if (url) {
+        media = document.createElement(/\.(mp4|webm|ogv)(\?|$)/i.test(url) ? 'video' : 'img');
+        media.src = url;
+      } else {
+        return;
+      }
+
+      media.className = 'cursor-preview';
+      media.setAttribute('aria-hidden', 'true');
+
+      if (media.tagName === 'VIDEO') {
+        media.muted = true;
+        media.loop = true;
+        media.playsInline = true;
+        media.preload = 'auto';
+        if (!motion.reduced) media.play().catch(() => {});
+      } else {
+        media.alt = '';
+        media.loading = 'eager';
+      }
+
+      ring.prepend(media);
+    },
+
+    leave() {
+      media?.remove();
+      media = null;
+    }
+  };
+})());
+
+// Icon cursor: data-cursor="icon" data-cursor-icon="play | drag | arrow"
+export const cursorIcons = {
+  play: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>',
+  drag: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M8 7l-5 5 5 5M16 7l5 5-5 5M3 12h18"/></svg>',
+  arrow: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M7 17L17 7M8 7h9v9"/></svg>'
+};
+
+cursor.registerState('icon', (() => {
+  let icon = null;
+
+  return {
+    enter({ target, ring }) {
+      const name = target?.dataset.cursorIcon || 'arrow';
+
+      icon = document.createElement('span');
+      icon.className = 'cursor-icon';
+      icon.innerHTML = cursorIcons[name] || cursorIcons.arrow;
+      ring.prepend(icon);
+    },
+
+    leave() {
+      icon?.remove();
+      icon = null;
+    }
+  };
+})());
+
+// Inverts whatever is underneath (CSS only)
+cursor.registerState('blend');
+
+// Ring snaps to the target's bounds, nudged slightly toward the pointer
+const STICKY_PULL = 0.1;
+const STICKY_PADDING = 12;
+
+cursor.registerState('sticky', (() => {
+  let snap = null;
+  let onScroll = null;
+
+  return {
+    enter({ cursor: owner, target, ring, pos }) {
+      if (!target) return;
+
+      snap = { x: pos.x, y: pos.y };
+      ring.style.borderRadius = getComputedStyle(target).borderRadius;
+
+      // Bounds move under a still pointer while scrolling
+      onScroll = () => owner.wake();
+      window.addEventListener('scroll', onScroll, { passive: true });
+    },
+
+    // Live rect each frame: magnetic targets move while we snap to them
+    render({ target, ring, mouse }) {
+      if (!target || !snap) return false;
+
+      const rect = target.getBoundingClientRect();
+      const center = {
+        x: rect.left + rect.width / 2,
+        y: rect.top + rect.height / 2
+      };
+      const goal = {
+        x: center.x + (mouse.x - center.x) * STICKY_PULL,
+        y: center.y + (mouse.y - center.y) * STICKY_PULL
+      };
+
+      const ease = motion.reduced ? 1 : 0.2;
+      snap.x += (goal.x - snap.x) * ease;
+      snap.y += (goal.y - snap.y) * ease;
+
+      ring.style.left = `${snap.x}px`;
+      ring.style.top = `${snap.y}px`;
+      ring.style.width = `${rect.width + STICKY_PADDING}px`;
+      ring.style.height = `${rect.height + STICKY_PADDING}px`;
+
+      return Math.abs(goal.x - snap.x) > REST_THRESHOLD || Math.abs(goal.y - snap.y) > REST_THRESHOLD;
+    },
+
+    leave({ ring }) {
+      window.removeEventListener('scroll', onScroll);
+
+      ring.style.width = '';
+      ring.style.height = '';
+      ring.style.borderRadius = '';
+      snap = null;
+      onScroll = null;
+    }
+  };
+})());
@@ -0,0 +1,28 @@
+/* ============================================
+   DATE HELPERS
+   Clock times and calendar dates as the
+   availability JSON writes them
+   ============================================ */
+
+// "14:30" <-> 870
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export function fromMinutes(total) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+}
+
+// Local calendar date as "YYYY-MM-DD"
+export function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "YYYY-MM-DD" -> local midnight on that date
+export function parseIsoDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
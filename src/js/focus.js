@@ -0,0 +1,31 @@
+/* ============================================
+   FOCUS HELPERS
+   Keeps keyboard focus inside modal panels
+   (cart drawer, reservations, virtual tour)
+   ============================================ */
+
+export const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([tabindex="-1"]), select, textarea, [tabindex="0"]';
+
+// Call from a modal's keydown handler: Tab and Shift+Tab wrap around the
+// visible controls in `container` instead of walking out into the page
+export function wrapFocus(e, container, selector = FOCUSABLE) {
+  if (e.key !== 'Tab') return;
+
+  const focusable = Array.from(container.querySelectorAll(selector))
+    .filter((el) => !el.closest('[hidden]'));
+  if (!focusable.length) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (!container.contains(document.activeElement)) {
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  } else if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
@@ -0,0 +1,26 @@
+/* ============================================
+   FORMAT HELPERS
+   Prices as the templates print them ("RM 45,000,000")
+   ============================================ */
+
+const number = new Intl.NumberFormat('en-MY', { maximumFractionDigits: 2 });
+
+// 380 -> "RM 380"
+export function formatPrice(amount, currency = 'RM') {
+  return `${currency} ${number.format(amount)}`;
+}
+
+// "RM 45,000,000" -> 45000000
+export function parsePrice(text) {
+  return parseFloat(String(text ?? '').replace(/[^\d.]/g, '')) || 0;
+}
+
+// "Serenity Villa" -> "serenity-villa"; null / undefined -> ""
+export function slugify(text) {
+  return String(text ?? '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// For values interpolated into innerHTML templates
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
@@ -0,0 +1,290 @@
+/* ============================================
+   FORMS MODULE
+   Any <form data-lumina-form> gets validation,
+   loading / success / error states, a honeypot
+   and a pluggable submit adapter
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { motion } from './motion.js';
+import { createController } from './lifecycle.js';
+import { createAdapter, DRAFT_MESSAGE } from './adapters.js';
+import { setFieldError, validateField, validateFields } from './validation.js';
+
+const GROUP_SELECTOR = '.form-group, .form-field';
+
+// ============================================
+// HONEYPOT
+// ============================================
+// Formspree's field name, so its own spam filter honours it too
+export const HONEYPOT_NAME = '_gotcha';
+
+// Adds an off-screen field people never see; bots tend to fill it in.
+// Returns the field, and whether it was created here.
+export function ensureHoneypot(form, name = HONEYPOT_NAME) {
+  const existing = form.querySelector(`[name="${name}"]`);
+  if (existing) return { field: existing, created: false };
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'form-honeypot';
+  wrapper.setAttribute('aria-hidden', 'true');
+  // Inline so the trap works on pages without src/css/forms.css
+  wrapper.style.cssText = 'position:absolute;left:-9999px;width:1px;height:1px;overflow:hidden;';
+  wrapper.innerHTML = `<label>Leave this field empty <input type="text" name="${name}" tabindex="-1" autocomplete="off"></label>`;
+  form.appendChild(wrapper);
+
+  return { field: wrapper.querySelector('input'), created: true };
+}
+
+export function isSpam(form, name = HONEYPOT_NAME) {
+  return Boolean(form.querySelector(`[name="${name}"]`)?.value);
+}
+
+// Named fields as a plain object; repeated names become arrays
+export function serializeForm(form, { exclude = [HONEYPOT_NAME] } = {}) {
+  const data = {};
+
+  new FormData(form).forEach((value, key) => {
+    if (exclude.includes(key)) return;
+
+    if (key in data) {
+      data[key] = [].concat(data[key], value);
+    } else {
+      data[key] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+
+  return data;
+}
+
+// ============================================
+// FORM CONTROLLER
+// ============================================
+// <form data-lumina-form="json | formspree | mock" data-endpoint="..."
+//       data-success-message="..."> - the endpoint falls back to `action`,
+// an empty data-lumina-form to the build's default adapter (adapters.js).
+// data-email addresses the `mailto` adapter.
+export class LuminaForm {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = {
+      adapter: null,          // Unset: `json` given an endpoint, else the build default
+      endpoint: '',
+      adapterOptions: {},
+      successMessage: "Thank you - we'll be in touch soon.",
+      resetDelay: 3000,       // ms before the button returns from "Sent"
+      ...options
+    };
+
+    // The form's own attributes win over module-wide options
+    const { dataset } = form;
+    if (dataset.luminaForm) this.options.adapter = dataset.luminaForm;
+    if (dataset.endpoint || form.getAttribute('action')) {
+      this.options.endpoint = dataset.endpoint || form.getAttribute('action');
+    }
+    if (dataset.successMessage) this.options.successMessage = dataset.successMessage;
+
+    const { adapter, endpoint, adapterOptions } = this.options;
+    this.adapter = createAdapter(adapter, { endpoint, email: dataset.email, ...adapterOptions });
+
+    this.button = form.querySelector('[type="submit"]');
+    this.label = this.button?.textContent.trim() || '';
+    this.status = form.querySelector('[data-form-status]');
+    this.honeypot = ensureHoneypot(form);
+    this.fields = Array.from(form.querySelectorAll('input, select, textarea')).filter((field) => (
+      field !== this.honeypot.field && !['hidden', 'submit', 'button', 'reset'].includes(field.type)
+    ));
+
+    this.submitting = false;
+    this.destroyed = false;
+    this.resetTimeout = null;
+
+    this.onSubmit = this.onSubmit.bind(this);
+    this.onFocusIn = this.onFocusIn.bind(this);
+    this.onFocusOut = this.onFocusOut.bind(this);
+    this.onInput = this.onInput.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.form.noValidate = true;
+
+    if (!this.status) {
+      this.status = document.createElement('p');
+      this.status.className = 'form-status';
+      this.status.setAttribute('data-form-status', '');
+      this.status.setAttribute('role', 'status');
+      this.status.hidden = true;
+      this.form.appendChild(this.status);
+      this.createdStatus = true;
+    }
+
+    this.form.addEventListener('submit', this.onSubmit);
+    this.form.addEventListener('focusin', this.onFocusIn);
+    this.form.addEventListener('focusout', this.onFocusOut);
+    this.form.addEventListener('input', this.onInput);
+
+    this.fields.forEach((field) => this.updateFilled(field));
+  }
+
+  // ============================================
+  // MICRO-INTERACTIONS
+  // ============================================
+  // .is-focused / .is-filled on the field's group drive the label and
+  // underline styles in src/css/forms.css
+
+  group(field) {
+    return field.closest(GROUP_SELECTOR);
+  }
+
+  updateFilled(field) {
+    this.group(field)?.classList.toggle('is-filled', field.value.trim() !== '');
+  }
+
+  onFocusIn(e) {
+    if (!this.fields.includes(e.target)) return;
+    this.group(e.target)?.classList.add('is-focused');
+  }
+
+  // Validate on the way out, once there is something to judge
+  onFocusOut(e) {
+    const field = e.target;
+    if (!this.fields.includes(field)) return;
+
+    this.group(field)?.classList.remove('is-focused');
+    if (field.value.trim() || field.hasAttribute('aria-invalid')) {
+      setFieldError(field, validateField(field));
+    }
+  }
+
+  // Clear an error as soon as the field is fixed
+  onInput(e) {
+    const field = e.target;
+    if (!this.fields.includes(field)) return;
+
+    this.updateFilled(field);
+    if (field.hasAttribute('aria-invalid') && !validateField(field)) {
+      setFieldError(field, '');
+    }
+  }
+
+  shake(fields) {
+    if (motion.reduced) return;
+
+    fields.forEach((field) => {
+      gsap.fromTo(this.group(field) || field,
+        { x: 0 },
+        { keyframes: { x: [-8, 8, -5, 5, 0] }, duration: 0.4, ease: 'power1.inOut', clearProps: 'transform' }
+      );
+    });
+  }
+
+  // ============================================
+  // SUBMISSION
+  // ============================================
+
+  async onSubmit(e) {
+    e.preventDefault();
+    if (this.submitting) return;
+
+    const invalid = validateFields(this.fields);
+    if (invalid.length) {
+      this.shake(invalid);
+      invalid[0].focus();
+      return;
+    }
+
+    // Bots get the success state and nothing is sent
+    if (isSpam(this.form)) {
+      this.succeed();
+      return;
+    }
+
+    this.setState('loading');
+
+    try {
+      const response = await this.adapter.submit(serializeForm(this.form));
+      if (!this.destroyed) this.succeed(response);
+    } catch (error) {
+      if (!this.destroyed) this.setState('error', error.message);
+    }
+  }
+
+  // A draft (mailto adapter) still has to be sent from the email app
+  succeed(response) {
+    this.form.reset();
+    this.fields.forEach((field) => {
+      setFieldError(field, '');
+      this.updateFilled(field);
+    });
+    this.setState('success', response?.draft ? DRAFT_MESSAGE : this.options.successMessage);
+  }
+
+  // idle | loading | success | error
+  setState(state, message = '') {
+    clearTimeout(this.resetTimeout);
+
+    this.submitting = state === 'loading';
+    ['loading', 'success', 'error'].forEach((name) => {
+      this.form.classList.toggle(`is-${name}`, state === name);
+    });
+    this.form.setAttribute('aria-busy', String(this.submitting));
+
+    if (this.button) {
+      this.button.disabled = this.submitting;
+      this.button.textContent = {
+        loading: 'Sending…',
+        success: 'Sent'
+      }[state] || this.label;
+    }
+
+    if (state !== 'loading') {
+      this.status.textContent = message;
+      this.status.hidden = !message;
+      this.status.classList.toggle('form-status--error', state === 'error');
+    }
+
+    if (state === 'success') {
+      this.resetTimeout = setTimeout(() => {
+        this.form.classList.remove('is-success');
+        if (this.button) this.button.textContent = this.label;
+      }, this.options.resetDelay);
+    }
+  }
+
+  destroy() {
+    this.destroyed = true;
+    clearTimeout(this.resetTimeout);
+
+    this.form.removeEventListener('submit', this.onSubmit);
+    this.form.removeEventListener('focusin', this.onFocusIn);
+    this.form.removeEventListener('focusout', this.onFocusOut);
+    this.form.removeEventListener('input', this.onInput);
+
+    gsap.killTweensOf(this.fields.map((field) => this.group(field) || field));
+    this.form.classList.remove('is-loading', 'is-success', 'is-error');
+    this.form.removeAttribute('aria-busy');
+    if (this.button) {
+      this.button.disabled = false;
+      this.button.textContent = this.label;
+    }
+
+    if (this.honeypot.created) this.honeypot.field.closest('.form-honeypot').remove();
+    if (this.createdStatus) this.status.remove();
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initForms(options = {}) {
+  const { root = document, selector = 'form[data-lumina-form]', ...formOptions } = options;
+
+  return createController({
+    key: 'form',
+    selector,
+    root,
+    create: (form) => new LuminaForm(form, formOptions)
+  });
+}
@@ -0,0 +1,69 @@
+/* ============================================
+   ICS CALENDAR FILES
+   A single-event .ics (RFC 5545) the visitor
+   can add to their calendar
+   ============================================ */
+
+// Commas, semicolons, backslashes and newlines are escaped in text values
+function escapeText(text = '') {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Long lines continue on the next line after a space (RFC 5545 folding,
+// counted in characters rather than octets)
+function fold(line) {
+  const parts = [];
+  let rest = line;
+
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+
+  return parts.join('\r\n');
+}
+
+// Date -> "20261020T110000Z"
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// "2026-10-20" + "19:00" at a fixed UTC offset ("+08:00") -> Date
+export function zonedDate(iso, time, offset = '+00:00') {
+  return new Date(`${iso}T${time}:00${offset}`);
+}
+
+// { uid, start, end (Dates), title, description, location, url }
+export function createIcs(event, { product = '-//Lumina Digital//Templates//EN' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${product}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${utcStamp(new Date())}`,
+    `DTSTART:${utcStamp(event.start)}`,
+    `DTEND:${utcStamp(event.end)}`,
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+// Object URL for a download link; revoke it with URL.revokeObjectURL when done
+export function icsUrl(text) {
+  return URL.createObjectURL(new Blob([text], { type: 'text/calendar;charset=utf-8' }));
+}
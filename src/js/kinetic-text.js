@@ -3,44 +3,15 @@
    ============================================ */
 
 import { gsap } from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { motion } from './motion.js';
+import { createController, combineControllers } from './lifecycle.js';
+import { splitText } from './split-text.js';
 
-// ============================================
-// TEXT SPLITTING UTILITY
-// ============================================
-export function splitText(element, type = 'chars') {
-  const text = element.textContent.trim();
-  element.textContent = '';
-  element.setAttribute('aria-label', text);
-
-  if (type === 'chars') {
-    const chars = text.split('');
-    chars.forEach((char, i) => {
-      const span = document.createElement('span');
-      span.className = 'char';
-      span.style.setProperty('--char-index', i);
-      span.textContent = char === ' ' ? '\u00A0' : char;
-      span.setAttribute('aria-hidden', 'true');
-      element.appendChild(span);
-    });
-  }
+// The splitter lives in its own module; kept importable from here
+export { SplitText, splitText, revertSplit } from './split-text.js';
 
-  if (type === 'words') {
-    const words = text.split(' ');
-    words.forEach((word, i) => {
-      const span = document.createElement('span');
-      span.className = 'word';
-      span.style.setProperty('--word-index', i);
-      span.textContent = word;
-      span.setAttribute('aria-hidden', 'true');
-      element.appendChild(span);
-      if (i < words.length - 1) {
-        element.appendChild(document.createTextNode(' '));
-      }
-    });
-  }
-
-  return element;
-}
+gsap.registerPlugin(ScrollTrigger);
 
 // ============================================
 // TEXT SCRAMBLE EFFECT
@@ -57,6 +28,14 @@ export class TextScramble {
   }
 
   setText(newText) {
+    // Reduced motion: swap the plain text, no scramble
+    if (motion.reduced) {
+      cancelAnimationFrame(this.frameRequest);
+      this.queue = [];
+      this.el.textContent = newText;
+      return Promise.resolve();
+    }
+
     const oldText = this.el.textContent;
     const length = Math.max(oldText.length, newText.length);
     const promise = new Promise((resolve) => (this.resolve = resolve));
@@ -119,35 +98,215 @@ export class WordRotator {
     this.words = words;
     this.options = {
       interval: 3000,
+      autoplay: true,           // false: wait for start() or show()
       ...options
     };
 
     this.currentIndex = 0;
     this.scrambler = new TextScramble(element);
     this.timeoutId = null;
+    this.running = false;
+    this.active = false;        // Wanted to rotate (running may be paused by reduced motion)
+
+    // Hold the first word while reduced motion is on
+    this.unsubscribe = motion.subscribe((reduced) => {
+      if (reduced) {
+        this.halt();
+        this.showStatic();
+      } else if (this.active) {
+        this.start();
+      }
+    });
 
-    this.start();
+    if (this.options.autoplay) this.start();
   }
 
   start() {
+    this.active = true;
+
+    if (motion.reduced) {
+      this.showStatic();
+      return;
+    }
+
+    this.halt();
+    this.running = true;
     this.next();
   }
 
+  // Jump to one word without rotating (scroll-scrubbed rotators)
+  show(index) {
+    this.scrambler.setText(this.words[index]);
+    this.currentIndex = (index + 1) % this.words.length;
+  }
+
   next() {
     this.scrambler.setText(this.words[this.currentIndex]).then(() => {
+      if (!this.running) return;
       this.timeoutId = setTimeout(() => this.next(), this.options.interval);
     });
     this.currentIndex = (this.currentIndex + 1) % this.words.length;
   }
 
+  destroy() {
+    this.stop();
+    this.unsubscribe();
+    cancelAnimationFrame(this.scrambler.frameRequest);
+  }
+
+  showStatic() {
+    this.scrambler.setText(this.words[0]);
+    this.currentIndex = 1 % this.words.length;
+  }
+
   stop() {
+    this.active = false;
+    this.halt();
+  }
+
+  halt() {
+    this.running = false;
     clearTimeout(this.timeoutId);
   }
 }
 
+// ============================================
+// TRIGGERS
+// ============================================
+// load   - plays as soon as the effect is created
+// scroll - plays when the element reaches `start`, reverses when scrolled
+//          back above it (never, with `once`)
+// scrub  - progress follows the scroll position from `start` to `end`
+// hover  - replays on pointer enter or keyboard focus; the text rests in
+//          its finished state until then
+export const KINETIC_TRIGGERS = ['load', 'scroll', 'scrub', 'hover'];
+
+const SCROLL_DEFAULTS = {
+  scroll: { start: 'top 85%', end: 'bottom top' },
+  scrub: { start: 'top 90%', end: 'top 40%' }
+};
+
+function resolveTrigger({ trigger = 'load', start, end, once = false } = {}) {
+  const mode = KINETIC_TRIGGERS.includes(trigger) ? trigger : 'load';
+  const defaults = SCROLL_DEFAULTS[mode] || {};
+
+  return { mode, once, start: start || defaults.start, end: end || defaults.end };
+}
+
+// data-kinetic-trigger / -start / -end / -once -> trigger options
+export function readTrigger(el) {
+  const { kineticTrigger, kineticStart, kineticEnd, kineticOnce } = el.dataset;
+
+  return {
+    trigger: kineticTrigger,
+    start: kineticStart,
+    end: kineticEnd,
+    once: kineticOnce !== undefined && kineticOnce !== 'false'
+  };
+}
+
+// Keyboard focus counts as hover; returns a function removing the listeners
+function onHover(element, enter, leave = null) {
+  const events = [['mouseenter', enter], ['focusin', enter]];
+  if (leave) events.push(['mouseleave', leave], ['focusout', leave]);
+
+  events.forEach(([type, handler]) => element.addEventListener(type, handler));
+  return () => events.forEach(([type, handler]) => element.removeEventListener(type, handler));
+}
+
+// ============================================
+// REDUCED MOTION
+// ============================================
+// Timelines jump straight to the readable end state and stop following scroll
+const kineticHandles = new Set();
+
+function settleKinetic(handle, reduced) {
+  if (reduced) {
+    handle.scrollTrigger?.disable(false);
+    handle.timeline.progress(1);
+  } else {
+    handle.scrollTrigger?.enable();
+  }
+}
+
+motion.subscribe((reduced) => {
+  kineticHandles.forEach((handle) => settleKinetic(handle, reduced));
+});
+
+// ============================================
+// TIMELINE HANDLE
+// ============================================
+// Binds a paused timeline to a trigger mode. The handle can play it again at
+// any time; `cleanup` runs on destroy (e.g. reverting a split).
+export function playTimeline(element, timeline, options = {}, cleanup = null) {
+  const { mode, once, start, end } = resolveTrigger(options);
+  let scrollTrigger = null;
+  let unbind = null;
+
+  timeline.pause();
+
+  if (mode === 'load') {
+    timeline.play(0);
+  } else if (mode === 'hover') {
+    timeline.progress(1);
+    unbind = onHover(element, () => {
+      if (!motion.reduced && !timeline.isActive()) timeline.restart();
+    });
+  } else {
+    scrollTrigger = ScrollTrigger.create({
+      trigger: element,
+      start,
+      end,
+      animation: timeline,
+      ...(mode === 'scrub'
+        ? { scrub: true }
+        : { toggleActions: once ? 'play none none none' : 'play none none reverse' })
+    });
+  }
+
+  const handle = {
+    element,
+    trigger: mode,
+    timeline,
+    scrollTrigger,
+
+    play() {
+      if (!motion.reduced) timeline.play();
+    },
+
+    reverse() {
+      if (!motion.reduced) timeline.reverse();
+    },
+
+    // From the top again. A scrubbed timeline goes back to following the
+    // scrollbar on the next scroll.
+    replay() {
+      if (motion.reduced) {
+        timeline.progress(1);
+      } else {
+        timeline.restart();
+      }
+    },
+
+    destroy() {
+      kineticHandles.delete(handle);
+      unbind?.();
+      scrollTrigger?.kill();
+      timeline.revert();
+      cleanup?.();
+    }
+  };
+
+  kineticHandles.add(handle);
+  if (motion.reduced) settleKinetic(handle, true);
+
+  return handle;
+}
+
 // ============================================
 // CHARACTER CASCADE
 // ============================================
+// options: tween settings plus trigger / start / end / once (see TRIGGERS)
 export function charCascade(element, options = {}) {
   const settings = {
     duration: 0.8,
@@ -157,15 +316,15 @@ export function charCascade(element, options = {}) {
     ...options
   };
 
-  splitText(element, 'chars');
-  const chars = element.querySelectorAll('.char');
-
-  return gsap.from(chars, {
+  const split = splitText(element, 'chars');
+  const timeline = gsap.timeline({ paused: true }).from(split.chars, {
     ...settings.from,
     duration: settings.duration,
     stagger: settings.stagger,
     ease: settings.ease
   });
+
+  return { ...playTimeline(element, timeline, options, () => split.revert()), split };
 }
 
 // ============================================
@@ -179,10 +338,8 @@ export function elasticWave(element, options = {}) {
     ...options
   };
 
-  splitText(element, 'chars');
-  const chars = element.querySelectorAll('.char');
-
-  return gsap.from(chars, {
+  const split = splitText(element, 'chars');
+  const timeline = gsap.timeline({ paused: true }).from(split.chars, {
     y: -100,
     opacity: 0,
     duration: settings.duration,
@@ -192,14 +349,151 @@ export function elasticWave(element, options = {}) {
       from: 'start'
     }
   });
+
+  return { ...playTimeline(element, timeline, options, () => split.revert()), split };
 }
 
 // ============================================
 // GLITCH TEXT EFFECT (CSS-based)
 // ============================================
-export function glitchText(element) {
-  element.classList.add('glitch');
+// The .glitch class runs the effect: on at load, while hovered, or while the
+// element is between start and end (scroll and scrub alike). Reduced motion
+// holds it off, including a runtime Lumina.motion.set(true)
+export function glitchText(element, options = {}) {
+  const { mode, once, start, end } = resolveTrigger(options);
+  let active = false;           // Wanted on (the class waits out reduced motion)
+  const sync = () => element.classList.toggle('glitch', active && !motion.reduced);
+  const on = () => {
+    active = true;
+    sync();
+  };
+  const off = () => {
+    active = false;
+    sync();
+  };
+  let scrollTrigger = null;
+  let unbind = null;
+
   element.dataset.text = element.textContent;
+
+  // Stop glitching while reduced motion is on, pick up again after
+  const unsubscribe = motion.subscribe(sync);
+
+  if (mode === 'load') {
+    on();
+  } else if (mode === 'hover') {
+    unbind = onHover(element, on, off);
+  } else {
+    scrollTrigger = ScrollTrigger.create({
+      trigger: element,
+      start,
+      end,
+      ...(once ? { once: true, onEnter: on } : { onToggle: ({ isActive }) => (isActive ? on() : off()) })
+    });
+  }
+
+  return {
+    element,
+    trigger: mode,
+    scrollTrigger,
+    play: on,
+    reverse: off,
+
+    // Restart the keyframes
+    replay() {
+      off();
+      void element.offsetWidth;
+      on();
+    },
+
+    destroy() {
+      unsubscribe();
+      unbind?.();
+      scrollTrigger?.kill();
+      off();
+      delete element.dataset.text;
+    }
+  };
+}
+
+// ============================================
+// WORD ROTATION
+// ============================================
+// load rotates for good, scroll while in view, hover while hovered; scrub
+// picks the word from the scroll position
+export function rotateWords(element, words, options = {}) {
+  const { mode, once, start, end } = resolveTrigger(options);
+  const original = element.textContent;
+  const rotator = new WordRotator(element, words, {
+    interval: options.interval || 3000,
+    autoplay: mode === 'load'
+  });
+  let scrollTrigger = null;
+  let unbind = null;
+  let shown = -1;
+
+  if (mode === 'hover') {
+    unbind = onHover(element, () => rotator.start(), () => rotator.stop());
+  } else if (mode === 'scroll') {
+    scrollTrigger = ScrollTrigger.create({
+      trigger: element,
+      start,
+      end,
+      onToggle: ({ isActive }) => {
+        if (isActive) {
+          rotator.start();
+        } else if (!once) {
+          rotator.stop();
+        }
+      }
+    });
+  } else if (mode === 'scrub') {
+    scrollTrigger = ScrollTrigger.create({
+      trigger: element,
+      start,
+      end,
+      onUpdate: ({ progress }) => {
+        const index = Math.min(words.length - 1, Math.floor(progress * words.length));
+        if (index === shown || motion.reduced) return;
+
+        shown = index;
+        rotator.show(index);
+      }
+    });
+  }
+
+  return {
+    element,
+    trigger: mode,
+    rotator,
+    scrollTrigger,
+    play: () => rotator.start(),
+    reverse: () => rotator.stop(),
+
+    // Out of view: no timers; `active` remembers whether to pick up again
+    pause: () => rotator.halt(),
+    resume() {
+      if (rotator.active && !rotator.running) rotator.start();
+    },
+
+    // Back to the first word; scrubbed rotators scramble in the current one again
+    replay() {
+      if (mode === 'scrub') {
+        rotator.show(Math.max(shown, 0));
+        return;
+      }
+
+      rotator.currentIndex = 0;
+      rotator.start();
+    },
+
+    destroy() {
+      unbind?.();
+      scrollTrigger?.kill();
+      rotator.destroy();
+      element.textContent = original;
+    }
+  };
 }
 
 // ============================================
@@ -224,6 +518,12 @@ export class Typewriter {
   }
 
   type() {
+    // Reduced motion: print the full text at once
+    if (motion.reduced) {
+      this.el.textContent = this.text;
+      return Promise.resolve();
+    }
+
     return new Promise((resolve) => {
       setTimeout(() => {
         let i = 0;
@@ -244,29 +544,58 @@ export class Typewriter {
 // ============================================
 // INITIALIZE FROM DATA ATTRIBUTES
 // ============================================
-export function initKineticText() {
-  // Character cascade
-  document.querySelectorAll('[data-kinetic="cascade"]').forEach((el) => {
-    charCascade(el);
-  });
+// data-kinetic="cascade|elastic|glitch|rotate", optionally with
+// data-kinetic-trigger="load|scroll|scrub|hover" and -start / -end / -once
+const effects = {
+  cascade: (el) => charCascade(el, readTrigger(el)),
+  elastic: (el) => elasticWave(el, readTrigger(el)),
+  glitch: (el) => glitchText(el, readTrigger(el)),
+
+  rotate: (el) => {
+    const words = el.dataset.words?.split(',').map((w) => w.trim()) || [];
+    if (words.length === 0) return null;
 
-  // Elastic wave
-  document.querySelectorAll('[data-kinetic="elastic"]').forEach((el) => {
-    elasticWave(el);
-  });
+    return rotateWords(el, words, {
+      ...readTrigger(el),
+      interval: parseInt(el.dataset.interval, 10) || 3000
+    });
+  }
+};
 
-  // Glitch
-  document.querySelectorAll('[data-kinetic="glitch"]').forEach((el) => {
-    glitchText(el);
-  });
+// The effect handle for one [data-kinetic] element (null for unknown effects)
+export function createKinetic(el) {
+  const name = el.dataset.kinetic;
+  return Object.hasOwn(effects, name) ? effects[name](el) : null;
+}
 
-  // Word rotation
-  document.querySelectorAll('[data-kinetic="rotate"]').forEach((el) => {
-    const words = el.dataset.words?.split(',').map((w) => w.trim()) || [];
-    if (words.length > 0) {
-      new WordRotator(el, words, {
-        interval: parseInt(el.dataset.interval, 10) || 3000
+export function initKineticText(root = document) {
+  const [cascade, elastic, glitch, rotate] = Object.keys(effects).map((name) => createController({
+    key: `kinetic:${name}`,
+    selector: `[data-kinetic="${name}"]`,
+    root,
+    create: effects[name]
+  }));
+
+  const controllers = [cascade, elastic, glitch, rotate];
+
+  return {
+    ...combineControllers(controllers),
+
+    // The effect handle bound to an element
+    get(el) {
+      for (const { instances } of controllers) {
+        if (instances.has(el)) return instances.get(el);
+      }
+      return null;
+    },
+
+    // Replay one element's effect, or every effect inside a scope
+    replay(target = root) {
+      controllers.forEach(({ instances }) => {
+        instances.forEach((handle, el) => {
+          if (el === target || target.contains?.(el)) handle.replay();
+        });
       });
     }
-  });
+  };
 }
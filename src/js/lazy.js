@@ -0,0 +1,185 @@
+/* ============================================
+   LAZY INTERACTIONS MODULE
+   Imports interaction modules only when their
+   elements near the viewport, and pauses the
+   instances that scroll out of it
+   ============================================ */
+
+import { claim, release, queryAll, combineControllers } from './lifecycle.js';
+
+// ============================================
+// MODULE REGISTRY
+// ============================================
+// `load` imports a module and resolves to its per-element factory; `key`
+// claims the element (lifecycle.js). Instances may add pause() / resume()
+// to idle while out of view.
+export const LAZY_MODULES = {
+  magnetic: {
+    key: 'magnetic',
+    selector: '[data-magnetic]',
+    load: () => import('./magnetic.js').then((module) => module.createMagnetic)
+  },
+  tilt: {
+    key: 'tilt',
+    selector: '[data-tilt]',
+    load: () => import('./tilt.js').then((module) => module.createTilt)
+  },
+  kinetic: {
+    key: 'kinetic',
+    selector: '[data-kinetic]',
+    load: () => import('./kinetic-text.js').then((module) => module.createKinetic)
+  },
+  scrollVideo: {
+    key: 'scroll-video',
+    selector: 'video[data-scroll-video]',
+    load: () => import('./scroll-video.js').then((module) => module.createScrollVideo)
+  }
+};
+
+// ============================================
+// LAZY CONTROLLER
+// ============================================
+// createController's contract, but an element is only created once it comes
+// within `rootMargin` of the viewport. The module is imported on that first
+// sighting, once for all its elements.
+export function createLazyController({ key, selector, load, root = document, rootMargin = '200px' }) {
+  const instances = new Map();
+  const observed = new Set();
+  const visible = new Set();
+  let factory = null;
+
+  const observer = 'IntersectionObserver' in window
+    ? new IntersectionObserver(onIntersect, { rootMargin })
+    : null;
+
+  function onIntersect(entries) {
+    entries.forEach(({ target, isIntersecting }) => {
+      if (isIntersecting) {
+        visible.add(target);
+        enter(target);
+      } else {
+        visible.delete(target);
+        instances.get(target)?.pause?.();
+      }
+    });
+  }
+
+  async function enter(el) {
+    if (instances.has(el)) {
+      instances.get(el).resume?.();
+      return;
+    }
+
+    factory ??= load();
+
+    let create;
+    try {
+      create = await factory;
+    } catch (error) {
+      // Try the import again next time an element shows up
+      factory = null;
+      console.warn(`Lumina: could not load the ${key} module`, error);
+      return;
+    }
+
+    // Unmounted while loading, or a second sighting got here first
+    if (!observed.has(el) || instances.has(el)) return;
+
+    // create() may decline an element (returns nothing) - retry on refresh
+    const instance = create(el);
+    if (!instance) {
+      unmount(el);
+      return;
+    }
+
+    instances.set(el, instance);
+    if (observer && !visible.has(el)) instance.pause?.();
+  }
+
+  function mount(scope) {
+    queryAll(scope, selector).forEach((el) => {
+      if (!claim(el, key)) return;
+      observed.add(el);
+
+      // No observer (old browsers): load straight away
+      if (observer) {
+        observer.observe(el);
+      } else {
+        enter(el);
+      }
+    });
+  }
+
+  function unmount(el) {
+    observer?.unobserve(el);
+    instances.get(el)?.destroy?.();
+    instances.delete(el);
+    observed.delete(el);
+    visible.delete(el);
+    release(el, key);
+  }
+
+  mount(root);
+
+  return {
+    instances,
+
+    refresh(scope = root) {
+      observed.forEach((el) => {
+        if (!el.isConnected) unmount(el);
+      });
+      mount(scope);
+    },
+
+    destroy() {
+      Array.from(observed).forEach(unmount);
+      observer?.disconnect();
+    }
+  };
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+// `modules` picks names from LAZY_MODULES (default: all of them).
+// get() / replay() reach the instances mounted so far, e.g. kinetic handles.
+export function initLazy(root = document, { modules = Object.keys(LAZY_MODULES), rootMargin } = {}) {
+  const controllers = modules.map((name) => createLazyController({
+    ...LAZY_MODULES[name],
+    root,
+    rootMargin
+  }));
+
+  return {
+    ...combineControllers(controllers),
+
+    // The instance bound to an element, or null until its module has loaded
+    get(el) {
+      for (const { instances } of controllers) {
+        if (instances.has(el)) return instances.get(el);
+      }
+      return null;
+    },
+
+    // Replay one element's effect, or every loaded effect inside a scope
+    replay(target = root) {
+      controllers.forEach(({ instances }) => {
+        instances.forEach((instance, el) => {
+          if (el === target || target.contains?.(el)) instance.replay?.();
+        });
+      });
+    }
+  };
+}
+
+// ============================================
+// ON-DEMAND ENTRY POINTS
+// ============================================
+// The modules' own init functions, imported on first call. Each resolves to
+// the controller the module returns (initKineticText's has get / replay).
+const loadInit = (load) => (...args) => load().then((init) => init(...args));
+
+export const initMagnetic = loadInit(() => import('./magnetic.js').then((module) => module.initMagnetic));
+export const initTilt = loadInit(() => import('./tilt.js').then((module) => module.initTilt));
+export const initKineticText = loadInit(() => import('./kinetic-text.js').then((module) => module.initKineticText));
+export const initScrollVideo = loadInit(() => import('./scroll-video.js').then((module) => module.initScrollVideo));
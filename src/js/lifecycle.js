@@ -0,0 +1,147 @@
+/* ============================================
+   MODULE LIFECYCLE HELPERS
+   Controllers with destroy() / refresh(root)
+   ============================================ */
+
+// Element -> set of module keys currently bound to it
+const bindings = new WeakMap();
+
+// Mark an element as bound by a module (false if it already was)
+export function claim(el, key) {
+  let keys = bindings.get(el);
+  if (!keys) {
+    keys = new Set();
+    bindings.set(el, keys);
+  }
+
+  if (keys.has(key)) return false;
+  keys.add(key);
+  return true;
+}
+
+export function release(el, key) {
+  bindings.get(el)?.delete(key);
+}
+
+// querySelectorAll that also matches the root element itself
+export function queryAll(root, selector) {
+  const found = Array.from(root.querySelectorAll(selector));
+  if (root instanceof Element && root.matches(selector)) {
+    found.unshift(root);
+  }
+  return found;
+}
+
+// ============================================
+// PER-ELEMENT CONTROLLER
+// ============================================
+// `create(el)` returns an instance with a destroy() method, or nothing to skip.
+// refresh() drops instances whose element left the DOM and binds new ones,
+// so it is safe to call as often as content changes.
+export function createController({ key, selector, create, root = document }) {
+  const instances = new Map();
+
+  function mount(scope) {
+    queryAll(scope, selector).forEach((el) => {
+      if (!claim(el, key)) return;
+
+      // create() may decline an element (returns nothing) - retry on refresh
+      const instance = create(el);
+      if (instance) {
+        instances.set(el, instance);
+      } else {
+        release(el, key);
+      }
+    });
+  }
+
+  function unmount(el) {
+    instances.get(el)?.destroy?.();
+    instances.delete(el);
+    release(el, key);
+  }
+
+  mount(root);
+
+  return {
+    instances,
+
+    refresh(scope = root) {
+      instances.forEach((instance, el) => {
+        if (!el.isConnected) unmount(el);
+      });
+      mount(scope);
+    },
+
+    destroy() {
+      Array.from(instances.keys()).forEach(unmount);
+    }
+  };
+}
+
+// ============================================
+// COMBINED CONTROLLER
+// ============================================
+export function combineControllers(controllers) {
+  return {
+    controllers,
+
+    refresh(scope) {
+      controllers.forEach((controller) => controller.refresh(scope));
+    },
+
+    destroy() {
+      controllers.forEach((controller) => controller.destroy());
+    }
+  };
+}
+
+// Controller for one still on its way (e.g. behind an import()). Refreshes
+// made meanwhile are replayed when it arrives; destroyed early, it is
+// destroyed on arrival. `ready` resolves to it, or null if it never came.
+export function createDeferredController(pending) {
+  let controller = null;
+  let destroyed = false;
+  const scopes = [];
+
+  const ready = Promise.resolve(pending).then((result) => {
+    if (destroyed) {
+      result?.destroy();
+      return null;
+    }
+
+    controller = result;
+    scopes.splice(0).forEach((scope) => controller?.refresh(scope));
+    return controller;
+  }).catch((error) => {
+    console.warn('Lumina: could not load a module', error);
+    return null;
+  });
+
+  return {
+    ready,
+
+    refresh(scope) {
+      if (controller) {
+        controller.refresh(scope);
+      } else if (!destroyed) {
+        scopes.push(scope);
+      }
+    },
+
+    destroy() {
+      destroyed = true;
+      scopes.length = 0;
+      controller?.destroy();
+      controller = null;
+    }
+  };
+}
+
+// Controller for one-off document-level setup (listeners on window etc.)
+export function createCleanupController(cleanup) {
+  return {
+    refresh() {},
+    destroy: cleanup
+  };
+}
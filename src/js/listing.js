@@ -0,0 +1,269 @@
+/* ============================================
+   LISTING MODULE
+   Filter / sort a card grid with a GSAP Flip
+   transition, URL-synced, plus a saved shortlist
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { Flip } from 'gsap/Flip';
+import { motion } from './motion.js';
+import { parsePrice, slugify } from './format.js';
+
+gsap.registerPlugin(Flip);
+
+// ============================================
+// SHORTLIST
+// ============================================
+// Saved card ids in localStorage
+export class Shortlist {
+  constructor(storageKey = 'lumina:shortlist') {
+    this.storageKey = storageKey;
+    this.ids = new Set();
+    this.load();
+  }
+
+  has(id) {
+    return this.ids.has(id);
+  }
+
+  // Returns the new saved state
+  toggle(id) {
+    if (this.ids.has(id)) {
+      this.ids.delete(id);
+    } else {
+      this.ids.add(id);
+    }
+
+    this.save();
+    return this.ids.has(id);
+  }
+
+  load() {
+    try {
+      this.ids = new Set(JSON.parse(localStorage.getItem(this.storageKey)) || []);
+    } catch {
+      this.ids = new Set();
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.ids)));
+    } catch {
+      // Storage unavailable: shortlist lasts for this page only
+    }
+  }
+}
+
+// ============================================
+// LISTING CONTROLLER
+// ============================================
+// Cards carry data-category; filter buttons carry data-filter ("all" or a
+// category); an optional <select data-sort> offers featured / price-asc / price-desc
+export class Listing {
+  constructor(options = {}) {
+    this.options = {
+      root: document,
+      grid: '.properties-grid',
+      card: '.property-card',
+      filter: '.property-filter [data-filter]',
+      sort: '.property-filter [data-sort]',
+      price: '.property-card__price',
+      title: '.property-card__title',
+      save: '.property-card__save',
+      activeClass: 'filter-btn--active',
+      filterParam: 'type',          // ?type=villas
+      sortParam: 'sort',            // ?sort=price-desc
+      storageKey: 'lumina:shortlist',
+      duration: 0.6,
+      ...options
+    };
+
+    const { root } = this.options;
+    this.grid = root.querySelector(this.options.grid);
+    this.cards = this.grid ? Array.from(this.grid.querySelectorAll(this.options.card)) : [];
+    this.buttons = Array.from(root.querySelectorAll(this.options.filter));
+    this.select = root.querySelector(this.options.sort);
+
+    this.shortlist = new Shortlist(this.options.storageKey);
+    this.flip = null;
+
+    // Original order doubles as the "featured" sort
+    this.entries = this.cards.map((card, index) => ({
+      card,
+      index,
+      id: card.dataset.propertyId || slugify(card.querySelector(this.options.title)?.textContent),
+      category: (card.dataset.category || '').toLowerCase(),
+      price: parsePrice(card.querySelector(this.options.price)?.textContent)
+    }));
+
+    this.onFilterClick = this.onFilterClick.bind(this);
+    this.onSortChange = this.onSortChange.bind(this);
+    this.onGridClick = this.onGridClick.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (!this.grid) return;
+
+    const params = new URLSearchParams(location.search);
+    this.filter = this.validFilter(params.get(this.options.filterParam));
+    this.sort = this.validSort(params.get(this.options.sortParam));
+
+    this.buttons.forEach((button) => button.addEventListener('click', this.onFilterClick));
+    this.select?.addEventListener('change', this.onSortChange);
+    this.grid.addEventListener('click', this.onGridClick);
+
+    this.renderSaved();
+    this.apply({ animate: false });
+  }
+
+  validFilter(value) {
+    const filters = this.buttons.map((button) => button.dataset.filter);
+    return filters.includes(value) ? value : 'all';
+  }
+
+  validSort(value) {
+    const sorts = this.select ? Array.from(this.select.options).map((option) => option.value) : [];
+    return sorts.includes(value) ? value : 'featured';
+  }
+
+  onFilterClick(e) {
+    const filter = e.currentTarget.dataset.filter;
+    if (filter === this.filter) return;
+
+    this.filter = filter;
+    this.apply();
+  }
+
+  onSortChange() {
+    this.sort = this.validSort(this.select.value);
+    this.apply();
+  }
+
+  onGridClick(e) {
+    const button = e.target.closest(this.options.save);
+    if (!button) return;
+
+    e.preventDefault();
+    const entry = this.entries.find(({ card }) => card.contains(button));
+    if (!entry) return;
+
+    this.shortlist.toggle(entry.id);
+    this.renderSaved();
+  }
+
+  renderSaved() {
+    this.entries.forEach(({ card, id }) => {
+      const button = card.querySelector(this.options.save);
+      if (!button) return;
+
+      const saved = this.shortlist.has(id);
+      button.classList.toggle('is-saved', saved);
+      button.setAttribute('aria-pressed', String(saved));
+    });
+  }
+
+  sorted() {
+    const entries = [...this.entries];
+
+    if (this.sort === 'price-asc') entries.sort((a, b) => a.price - b.price);
+    if (this.sort === 'price-desc') entries.sort((a, b) => b.price - a.price);
+    if (this.sort === 'featured') entries.sort((a, b) => a.index - b.index);
+
+    return entries;
+  }
+
+  apply({ animate = true } = {}) {
+    const state = animate && !motion.reduced ? Flip.getState(this.cards) : null;
+
+    // Filter, then reorder the DOM
+    this.entries.forEach(({ card, category }) => {
+      card.hidden = this.filter !== 'all' && category !== this.filter;
+    });
+    this.sorted().forEach(({ card }) => this.grid.appendChild(card));
+
+    this.buttons.forEach((button) => {
+      const active = button.dataset.filter === this.filter;
+      button.classList.toggle(this.options.activeClass, active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+    if (this.select) this.select.value = this.sort;
+
+    this.updateUrl();
+
+    if (!state) return;
+
+    this.flip?.kill();
+    this.grid.classList.add('is-flipping');
+
+    const { duration } = this.options;
+    this.flip = Flip.from(state, {
+      duration,
+      ease: 'power3.inOut',
+      absolute: true,
+      onEnter: (elements) => gsap.fromTo(elements,
+        { opacity: 0, scale: 0.9 },
+        { opacity: 1, scale: 1, duration, ease: 'power3.out' }
+      ),
+      onLeave: (elements) => gsap.to(elements,
+        { opacity: 0, scale: 0.9, duration: duration * 0.6, ease: 'power3.in' }
+      ),
+      onComplete: () => this.grid.classList.remove('is-flipping')
+    });
+  }
+
+  // Shareable state: replaceState, so filtering adds no history entries
+  updateUrl() {
+    const url = new URL(location.href);
+    const { filterParam, sortParam } = this.options;
+
+    if (this.filter === 'all') {
+      url.searchParams.delete(filterParam);
+    } else {
+      url.searchParams.set(filterParam, this.filter);
+    }
+
+    if (this.sort === 'featured') {
+      url.searchParams.delete(sortParam);
+    } else {
+      url.searchParams.set(sortParam, this.sort);
+    }
+
+    if (url.href !== location.href) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  destroy() {
+    if (!this.grid) return;
+
+    this.flip?.kill();
+    this.grid.classList.remove('is-flipping');
+
+    this.buttons.forEach((button) => button.removeEventListener('click', this.onFilterClick));
+    this.select?.removeEventListener('change', this.onSortChange);
+    this.grid.removeEventListener('click', this.onGridClick);
+
+    // Back to the markup's order, everything visible
+    this.entries.forEach(({ card }) => {
+      card.hidden = false;
+      gsap.set(card, { clearProps: 'all' });
+      this.grid.appendChild(card);
+    });
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initListing(options = {}) {
+  const listing = new Listing(options);
+
+  return {
+    listing,
+    refresh() {},
+    destroy: () => listing.destroy()
+  };
+}
@@ -2,6 +2,14 @@
    MAGNETIC INTERACTIONS MODULE
    ============================================ */
 
+import { motion } from './motion.js';
+import { createController } from './lifecycle.js';
+import { ticker, pointer, bounds } from './ticker.js';
+import { sound } from './sound.js';
+
+// Settled once the offset is within this many pixels of its target
+const REST_THRESHOLD = 0.05;
+
 export class MagneticElement {
   constructor(element, options = {}) {
     this.el = element;
@@ -14,56 +22,61 @@ export class MagneticElement {
 
     this.pos = { x: 0, y: 0 };
     this.target = { x: 0, y: 0 };
-    this.rect = null;
-    this.center = { x: 0, y: 0 };
     this.isHovered = false;
-    this.rafId = null;
+    this.paused = false;
+
+    // Bound handlers so destroy() can detach them
+    this.onEnter = (e) => {
+      if (e.pointerType === 'touch') return;
+      this.isHovered = true;
+      sound.play('attract');
+    };
+    this.onLeave = () => {
+      if (this.isHovered) sound.play('release');
+      this.isHovered = false;
+      this.target = { x: 0, y: 0 };
+      ticker.wake(this.update);
+    };
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.update = this.update.bind(this);
+    this.measureCenter = this.measureCenter.bind(this);
 
     this.init();
   }
 
   init() {
-    this.calculateBounds();
-
-    // Update bounds on resize
-    window.addEventListener('resize', () => this.calculateBounds());
+    // Cached bounds, invalidated on scroll/resize/ResizeObserver
+    bounds.observe(this.el);
 
     // Track hover state
-    this.el.addEventListener('mouseenter', () => {
-      this.isHovered = true;
-    });
-
-    this.el.addEventListener('mouseleave', () => {
-      this.isHovered = false;
-      this.target = { x: 0, y: 0 };
-    });
+    this.el.addEventListener('pointerenter', this.onEnter);
+    this.el.addEventListener('pointerleave', this.onLeave);
 
-    // Track mouse position
-    document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    // Track pointer position (shared listener)
+    this.unsubscribePointer = pointer.subscribe(this.onPointerMove);
 
-    // Start animation loop
-    this.animate();
+    // Ease back to rest when reduced motion switches on
+    this.unsubscribeMotion = motion.subscribe(() => ticker.wake(this.update));
   }
 
-  calculateBounds() {
-    this.rect = this.el.getBoundingClientRect();
-    this.center = {
-      x: this.rect.left + this.rect.width / 2,
-      y: this.rect.top + this.rect.height / 2
+  // Resting center: the live rect includes our own translate, so remove it
+  measureCenter() {
+    const rect = this.el.getBoundingClientRect();
+    return {
+      x: rect.left + rect.width / 2 - this.pos.x,
+      y: rect.top + rect.height / 2 - this.pos.y
     };
   }
 
-  onMouseMove(e) {
-    // Recalculate bounds (in case of scroll)
-    this.rect = this.el.getBoundingClientRect();
-    this.center = {
-      x: this.rect.left + this.rect.width / 2,
-      y: this.rect.top + this.rect.height / 2
-    };
+  onPointerMove(e) {
+    // Mouse and pen pull; a finger would drag the element along with a scroll
+    if (e.pointerType === 'touch') return;
+
+    const center = bounds.get(this.el, this.measureCenter);
 
     const distance = Math.hypot(
-      e.clientX - this.center.x,
-      e.clientY - this.center.y
+      e.clientX - center.x,
+      e.clientY - center.y
     );
 
     if (distance < this.options.triggerArea) {
@@ -71,42 +84,91 @@ export class MagneticElement {
       const pull = 1 - (distance / this.options.triggerArea);
 
       this.target = {
-        x: (e.clientX - this.center.x) * this.options.strength * pull,
-        y: (e.clientY - this.center.y) * this.options.strength * pull
+        x: (e.clientX - center.x) * this.options.strength * pull,
+        y: (e.clientY - center.y) * this.options.strength * pull
       };
     } else if (!this.isHovered) {
       this.target = { x: 0, y: 0 };
     }
+
+    if (this.target.x !== this.pos.x || this.target.y !== this.pos.y) {
+      ticker.wake(this.update);
+    }
   }
 
-  animate() {
+  // Runs on the shared ticker; returns false once settled
+  update() {
+    // Reduced motion: ease back to rest and stay there
+    const target = motion.reduced ? { x: 0, y: 0 } : this.target;
+
     // Smooth interpolation
-    this.pos.x += (this.target.x - this.pos.x) * this.options.lerp;
-    this.pos.y += (this.target.y - this.pos.y) * this.options.lerp;
+    this.pos.x += (target.x - this.pos.x) * this.options.lerp;
+    this.pos.y += (target.y - this.pos.y) * this.options.lerp;
+
+    const settled =
+      Math.abs(target.x - this.pos.x) < REST_THRESHOLD &&
+      Math.abs(target.y - this.pos.y) < REST_THRESHOLD;
+
+    if (settled) {
+      this.pos.x = target.x;
+      this.pos.y = target.y;
+    }
 
     // Apply transform
     this.el.style.transform = `translate(${this.pos.x}px, ${this.pos.y}px)`;
 
-    this.rafId = requestAnimationFrame(() => this.animate());
+    return !settled;
+  }
+
+  // Out of view: stop following the pointer and ease back to rest
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+
+    this.unsubscribePointer();
+    bounds.unobserve(this.el);
+    this.isHovered = false;
+    this.target = { x: 0, y: 0 };
+    ticker.wake(this.update);
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+
+    bounds.observe(this.el);
+    this.unsubscribePointer = pointer.subscribe(this.onPointerMove);
   }
 
   destroy() {
-    cancelAnimationFrame(this.rafId);
+    ticker.sleep(this.update);
+    // Paused already let go of its bounds
+    if (!this.paused) bounds.unobserve(this.el);
+    this.unsubscribePointer();
+    this.unsubscribeMotion();
+    this.el.removeEventListener('pointerenter', this.onEnter);
+    this.el.removeEventListener('pointerleave', this.onLeave);
     this.el.style.transform = '';
   }
 }
 
-// Initialize all magnetic elements
-export function initMagnetic() {
-  const elements = document.querySelectorAll('[data-magnetic]');
+// data-magnetic-strength / -trigger -> a MagneticElement
+export function createMagnetic(el) {
+  const strength = parseFloat(el.dataset.magneticStrength) || 0.4;
+  const trigger = parseFloat(el.dataset.magneticTrigger) || 200;
 
-  elements.forEach((el) => {
-    const strength = parseFloat(el.dataset.magneticStrength) || 0.4;
-    const trigger = parseFloat(el.dataset.magneticTrigger) || 200;
+  return new MagneticElement(el, {
+    strength,
+    triggerArea: trigger
+  });
+}
 
-    new MagneticElement(el, {
-      strength,
-      triggerArea: trigger
-    });
+// Initialize all magnetic elements (returns a { destroy, refresh } controller)
+export function initMagnetic(root = document) {
+  return createController({
+    key: 'magnetic',
+    selector: '[data-magnetic]',
+    root,
+    create: createMagnetic
   });
 }
@@ -2,147 +2,172 @@
    LUMINA EXPERIMENTAL - MAIN ENTRY POINT
    ============================================ */
 
+import { motion } from './motion.js';
 import { cursor } from './cursor.js';
-import { initMagnetic } from './magnetic.js';
-import { initScrollAnimations } from './scroll-animations.js';
-import { initKineticText } from './kinetic-text.js';
-import { initTilt } from './tilt.js';
-
-// ============================================
-// SMOOTH SCROLL (using native CSS)
-// ============================================
-function initSmoothScroll() {
-  // Already handled via CSS scroll-behavior: smooth
-  // This function can be expanded for Lenis integration if needed
-
-  // Smooth scroll for anchor links
-  document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-    anchor.addEventListener('click', (e) => {
-      const targetId = anchor.getAttribute('href');
-      if (targetId === '#') return;
-
-      const target = document.querySelector(targetId);
-      if (target) {
-        e.preventDefault();
-        target.scrollIntoView({
-          behavior: 'smooth',
-          block: 'start'
-        });
-      }
-    });
-  });
-}
+import { initScrollAnimations, registerAnimation } from './scroll-animations.js';
+import { initLazy, initMagnetic, initTilt, initKineticText, initScrollVideo } from './lazy.js';
+import { smoothScroll, initSmoothScroll } from './smooth-scroll.js';
+import { initMobileNav } from './mobile-nav.js';
+import { initForms } from './forms.js';
+import { initShowcase } from './showcase.js';
+import { theme, initTheme } from './theme.js';
+import { sound, initSound } from './sound.js';
+import { readTemplateConfig } from './template-config.js';
+import { initTransitions } from './transitions.js';
+import { combineControllers, createCleanupController, createDeferredController } from './lifecycle.js';
 
 // ============================================
 // PRELOADER (Optional)
 // ============================================
 function initPreloader() {
   const preloader = document.querySelector('.preloader');
-  if (!preloader) return;
+  if (!preloader) return createCleanupController(() => {});
 
-  window.addEventListener('load', () => {
-    setTimeout(() => {
+  let timeoutId = null;
+
+  function onLoad() {
+    timeoutId = setTimeout(() => {
       preloader.classList.add('is-hidden');
       document.body.classList.add('is-loaded');
     }, 500);
+  }
+
+  window.addEventListener('load', onLoad);
+
+  return createCleanupController(() => {
+    window.removeEventListener('load', onLoad);
+    clearTimeout(timeoutId);
   });
 }
 
 // ============================================
-// MOBILE NAVIGATION
+// INITIALIZE ALL MODULES
 // ============================================
-function initMobileNav() {
-  const toggle = document.querySelector('.nav__menu');
-  const mobileMenu = document.querySelector('.nav__mobile-menu');
-  const mobileLinks = document.querySelectorAll('.nav__mobile-link');
-
-  if (!toggle || !mobileMenu) return;
-
-  function openMenu() {
-    toggle.classList.add('is-active');
-    toggle.setAttribute('aria-expanded', 'true');
-    mobileMenu.classList.add('is-open');
-    document.body.classList.add('menu-open');
-  }
+let app = null;
+
+// Mount everything on first call; later calls bind only new content in `root`
+function init(root = document) {
+  cursor.init();
 
-  function closeMenu() {
-    toggle.classList.remove('is-active');
-    toggle.setAttribute('aria-expanded', 'false');
-    mobileMenu.classList.remove('is-open');
-    document.body.classList.remove('menu-open');
+  if (app) {
+    app.refresh(root);
+    cursor.refresh(root);
+    return app;
   }
 
-  // Toggle menu on hamburger click
-  toggle.addEventListener('click', () => {
-    const isOpen = mobileMenu.classList.contains('is-open');
-    if (isOpen) {
-      closeMenu();
-    } else {
-      openMenu();
-    }
-  });
+  app = combineControllers([
+    // Theme
+    initTheme({ tokens: 'lumina', switcher: true }),
 
-  // Close menu when clicking a link
-  mobileLinks.forEach(link => {
-    link.addEventListener('click', () => {
-      closeMenu();
-    });
-  });
+    // Sound (silent until the first click or key press)
+    initSound({ toggle: true }),
 
-  // Close menu on escape key
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && mobileMenu.classList.contains('is-open')) {
-      closeMenu();
-    }
-  });
+    // Magnetic, tilt, kinetic text and scroll video: imported as their
+    // elements near the viewport, paused once they leave it
+    initLazy(root),
 
-  // Close menu on resize to desktop
-  window.addEventListener('resize', () => {
-    if (window.innerWidth > 768 && mobileMenu.classList.contains('is-open')) {
-      closeMenu();
-    }
-  });
+    // Animations
+    initScrollAnimations(root),
+
+    // Showcase filters & previews
+    initShowcase({ root }),
+
+    // Forms
+    initForms({ root }),
+
+    // Navigation & scroll
+    initSmoothScroll(),
+    initPreloader(),
+    initMobileNav()
+  ]);
+
+  // Refresh cursor bindings after dynamic content
+  cursor.refresh(root);
+
+  return app;
+}
+
+// Template pages run on their own config, on a direct load or through the
+// router. The runtime is imported on the first one, so the landing page
+// never loads it.
+let page = null;
+
+function initTemplate(config, root) {
+  return createDeferredController(
+    import('./template.js').then((module) => module.initTemplate(config, root).ready)
+  );
+}
+
+// Tear down every module: listeners, rAF loops, ScrollTriggers, cursor
+function destroyAll() {
+  app?.destroy();
+  app = null;
+  page?.destroy();
+  page = null;
+  cursor.destroy();
+}
+
+// Mount a page: the document on load, then each swapped-in container
+function enter(container) {
+  const config = readTemplateConfig(container);
+
+  if (config) {
+    page = initTemplate(config, container);
+  } else {
+    init(container);
+  }
 }
 
 // ============================================
-// INITIALIZE ALL MODULES
+// PAGE TRANSITIONS
 // ============================================
-function init() {
-  // Core interactions
-  initMagnetic();
-  initTilt();
+// Every page (landing and templates) boots here, so the router is there
+// whichever page was loaded first. It lives across navigations: modules
+// are torn down with the old container and mounted again on the new one.
+let transitions = null;
 
-  // Animations
-  initScrollAnimations();
-  initKineticText();
+function boot() {
+  enter(document);
 
-  // Navigation & scroll
-  initSmoothScroll();
-  initPreloader();
-  initMobileNav();
-
-  // Refresh cursor bindings after dynamic content
-  cursor.refresh();
+  transitions = initTransitions({
+    onLeave: () => destroyAll(),
+    onEnter: enter
+  });
 
-  console.log('🌟 Lumina Experimental initialized');
+  if (import.meta.env.DEV) console.log('🌟 Lumina Experimental initialized');
 }
 
 // ============================================
 // DOM READY
 // ============================================
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
+  document.addEventListener('DOMContentLoaded', boot);
 } else {
-  init();
+  boot();
 }
 
 // ============================================
 // EXPORTS (for debugging in console)
 // ============================================
 window.Lumina = {
+  motion,           // Lumina.motion.set(true | false | null) toggles reduced motion
+  theme,            // Lumina.theme.set('light' | 'dark' | 'brand' | null), .preview({ accent })
+  sound,            // Lumina.sound.set(true | false | null) mutes, .play('tick' | 'pop' | 'whoosh')
+  smoothScroll,     // Lumina.smoothScroll.scrollTo('#contact', { offset, duration, easing })
   cursor,
-  initMagnetic,
+  initLazy,         // Lumina.initLazy(root, { modules: ['tilt'] }); modules load on demand
+  initMagnetic,     // These four import their module, then resolve to its controller
+  initTilt,
+  initKineticText,  // (await Lumina.initKineticText(root)).replay()
+  initScrollVideo,
   initScrollAnimations,
-  initKineticText,
-  initTilt
+  registerAnimation,
+  initForms,
+  initShowcase,
+  initTemplate,
+  init,
+  destroyAll,
+  get transitions() {
+    return transitions;
+  }
 };
@@ -0,0 +1,82 @@
+/* ============================================
+   MOBILE NAVIGATION MODULE
+   Hamburger toggle shared by Lumina and the templates
+   ============================================ */
+
+import { createCleanupController } from './lifecycle.js';
+import { smoothScroll } from './smooth-scroll.js';
+
+export function initMobileNav(options = {}) {
+  const {
+    root = document,
+    toggle: toggleSelector = '.nav__menu',
+    menu: menuSelector = '.nav__mobile-menu',
+    links: linkSelector = '.nav__mobile-link',
+    breakpoint = 768          // Menu closes itself above this width
+  } = options;
+
+  const toggle = root.querySelector(toggleSelector);
+  const mobileMenu = root.querySelector(menuSelector);
+  const mobileLinks = root.querySelectorAll(linkSelector);
+
+  if (!toggle || !mobileMenu) return createCleanupController(() => {});
+
+  function openMenu() {
+    toggle.classList.add('is-active');
+    toggle.setAttribute('aria-expanded', 'true');
+    mobileMenu.classList.add('is-open');
+    document.body.classList.add('menu-open');
+    smoothScroll.stop('menu');
+  }
+
+  function closeMenu() {
+    toggle.classList.remove('is-active');
+    toggle.setAttribute('aria-expanded', 'false');
+    mobileMenu.classList.remove('is-open');
+    document.body.classList.remove('menu-open');
+    smoothScroll.start('menu');
+  }
+
+  function onToggle() {
+    const isOpen = mobileMenu.classList.contains('is-open');
+    if (isOpen) {
+      closeMenu();
+    } else {
+      openMenu();
+    }
+  }
+
+  function onKeydown(e) {
+    if (e.key === 'Escape' && mobileMenu.classList.contains('is-open')) {
+      closeMenu();
+    }
+  }
+
+  function onResize() {
+    if (window.innerWidth > breakpoint && mobileMenu.classList.contains('is-open')) {
+      closeMenu();
+    }
+  }
+
+  // Toggle menu on hamburger click
+  toggle.addEventListener('click', onToggle);
+
+  // Close menu when clicking a link
+  mobileLinks.forEach(link => {
+    link.addEventListener('click', closeMenu);
+  });
+
+  // Close menu on escape key
+  document.addEventListener('keydown', onKeydown);
+
+  // Close menu on resize to desktop
+  window.addEventListener('resize', onResize);
+
+  return createCleanupController(() => {
+    closeMenu();
+    toggle.removeEventListener('click', onToggle);
+    mobileLinks.forEach(link => link.removeEventListener('click', closeMenu));
+    document.removeEventListener('keydown', onKeydown);
+    window.removeEventListener('resize', onResize);
+  });
+}
@@ -0,0 +1,527 @@
+/* ============================================
+   MORTGAGE CALCULATOR
+   Monthly instalment, purchase costs with
+   Malaysian stamp duty and legal fee scales,
+   amortization schedule and an SVG chart
+   ============================================ */
+
+import { createController, queryAll } from './lifecycle.js';
+import { parsePrice } from './format.js';
+
+const ringgit = new Intl.NumberFormat('ms-MY', { style: 'currency', currency: 'MYR', maximumFractionDigits: 0 });
+const ringgitSen = new Intl.NumberFormat('ms-MY', { style: 'currency', currency: 'MYR' });
+const ringgitShort = new Intl.NumberFormat('ms-MY', {
+  style: 'currency',
+  currency: 'MYR',
+  notation: 'compact',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 1
+});
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// ============================================
+// FEE SCALES
+// ============================================
+// Each tier charges `rate` on the part of the amount up to `upTo`.
+// Override through options.tiers when the scales change.
+export const TIERS = {
+  // Memorandum of transfer, Stamp Act 1949 (from 1 January 2019)
+  stampDuty: [
+    { upTo: 100000, rate: 0.01 },
+    { upTo: 500000, rate: 0.02 },
+    { upTo: 1000000, rate: 0.03 },
+    { upTo: Infinity, rate: 0.04 }
+  ],
+  // Foreign buyers pay a flat rate on the transfer (from 2024)
+  foreignStampDuty: [
+    { upTo: Infinity, rate: 0.04 }
+  ],
+  // Loan agreement
+  loanStampDuty: [
+    { upTo: Infinity, rate: 0.005 }
+  ],
+  // Solicitors' Remuneration Order 2023, charged on the sale and purchase
+  // agreement and the loan agreement alike. Above RM7.5m the fee is
+  // negotiable up to 1%, so the cap is used.
+  legalFees: [
+    { upTo: 500000, rate: 0.0125 },
+    { upTo: Infinity, rate: 0.01 }
+  ]
+};
+
+export function tieredFee(amount, tiers) {
+  let fee = 0;
+  let floor = 0;
+
+  for (const { upTo, rate } of tiers) {
+    if (amount <= floor) break;
+    fee += (Math.min(amount, upTo) - floor) * rate;
+    floor = upTo;
+  }
+
+  return fee;
+}
+
+// Cash needed on top of the loan
+export function purchaseCosts({ price, loan, foreign = false }, tiers = TIERS) {
+  const costs = {
+    transferDuty: tieredFee(price, foreign ? tiers.foreignStampDuty : tiers.stampDuty),
+    loanDuty: tieredFee(loan, tiers.loanStampDuty),
+    purchaseLegal: tieredFee(price, tiers.legalFees),
+    loanLegal: loan > 0 ? tieredFee(loan, tiers.legalFees) : 0
+  };
+
+  return { ...costs, total: Object.values(costs).reduce((sum, value) => sum + value, 0) };
+}
+
+// ============================================
+// REPAYMENTS
+// ============================================
+export function monthlyInstalment(loan, annualRate, months) {
+  if (loan <= 0 || months <= 0) return 0;
+
+  const rate = annualRate / 100 / 12;
+  if (rate === 0) return loan / months;
+
+  return (loan * rate) / (1 - Math.pow(1 + rate, -months));
+}
+
+// One row per month; the last payment clears what rounding left over
+export function amortize(loan, annualRate, months) {
+  const rate = annualRate / 100 / 12;
+  const payment = monthlyInstalment(loan, annualRate, months);
+  const rows = [];
+  let balance = loan;
+
+  for (let month = 1; month <= months && balance > 0; month++) {
+    const interest = balance * rate;
+    const principal = month === months ? balance : Math.min(balance, payment - interest);
+    balance = Math.max(0, balance - principal);
+
+    rows.push({ period: month, payment: principal + interest, principal, interest, balance });
+  }
+
+  return rows;
+}
+
+// Monthly rows summed per loan year
+export function yearlySchedule(rows) {
+  const years = [];
+
+  rows.forEach((row) => {
+    const index = Math.ceil(row.period / 12) - 1;
+    const year = years[index] || (years[index] = { period: index + 1, payment: 0, principal: 0, interest: 0, balance: 0 });
+
+    year.payment += row.payment;
+    year.principal += row.principal;
+    year.interest += row.interest;
+    year.balance = row.balance;
+  });
+
+  return years;
+}
+
+// ============================================
+// MORTGAGE CALCULATOR
+// ============================================
+// Markup: form[data-mortgage] with inputs named price, down (%), tenure
+// (years), rate (% p.a.), an optional select[name="buyer"] ("citizen" |
+// "foreign"), checkbox[name="fees"] and select[data-mortgage-properties];
+// [data-mortgage-output="<key>"] elements, [data-mortgage-chart],
+// [data-mortgage-schedule] (a tbody) and [data-mortgage-view] toggles.
+// [data-mortgage-property] inside a .property-card pre-fills its price.
+export class MortgageCalculator {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = {
+      root: document,
+      scope: form.closest('section') || form,
+      card: '.property-card',
+      cardTitle: '.property-card__title',
+      cardPrice: '.property-card__price',
+      trigger: '[data-mortgage-property]',
+      tiers: {},
+      ...options
+    };
+
+    const { scope } = this.options;
+    this.tiers = { ...TIERS, ...this.options.tiers };
+    this.select = form.querySelector('[data-mortgage-properties]');
+    this.outputs = queryAll(scope, '[data-mortgage-output]');
+    this.chart = scope.querySelector('[data-mortgage-chart]');
+    this.schedule = scope.querySelector('[data-mortgage-schedule]');
+    this.scheduleWrapper = this.schedule?.closest('details') || null;
+    this.viewButtons = queryAll(scope, '[data-mortgage-view]');
+
+    this.view = 'year';
+    this.result = null;
+    this.activeYear = null;
+
+    this.onInput = this.onInput.bind(this);
+    this.onSubmit = (e) => e.preventDefault();        // Nothing to send; results update live
+    this.onTrigger = this.onTrigger.bind(this);
+    this.onViewClick = this.onViewClick.bind(this);
+    this.onScheduleToggle = this.onScheduleToggle.bind(this);
+    this.onChartPointer = this.onChartPointer.bind(this);
+    this.onChartKeydown = this.onChartKeydown.bind(this);
+    this.onChartLeave = this.onChartLeave.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.form.addEventListener('input', this.onInput);
+    this.form.addEventListener('submit', this.onSubmit);
+    document.addEventListener('click', this.onTrigger);
+    this.viewButtons.forEach((button) => button.addEventListener('click', this.onViewClick));
+    this.scheduleWrapper?.addEventListener('toggle', this.onScheduleToggle);
+
+    this.renderPropertyOptions();
+    this.calculate();
+  }
+
+  // ============================================
+  // PROPERTIES
+  // ============================================
+
+  properties() {
+    const { root, card, cardTitle, cardPrice } = this.options;
+
+    return queryAll(root, card)
+      .map((el) => ({
+        id: el.dataset.propertyId,
+        title: el.querySelector(cardTitle)?.textContent.trim() || '',
+        price: parsePrice(el.querySelector(cardPrice)?.textContent)
+      }))
+      .filter((property) => property.id && property.price > 0);
+  }
+
+  renderPropertyOptions() {
+    if (!this.select) return;
+
+    const current = this.select.value;
+    const custom = this.select.querySelector('option[value=""]');
+    this.select.replaceChildren(...[custom].filter(Boolean), ...this.properties().map(({ id, title, price }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = `${title} — ${ringgit.format(price)}`;
+      option.dataset.price = price;
+      return option;
+    }));
+    this.select.value = current;
+  }
+
+  usePrice(price, id = '') {
+    this.form.elements.price.value = Math.round(price);
+    if (this.select) this.select.value = id;
+    this.calculate();
+  }
+
+  onTrigger(e) {
+    const trigger = e.target.closest(this.options.trigger);
+    if (!trigger || !this.options.root.contains(trigger)) return;
+
+    const card = trigger.closest(this.options.card);
+    const price = parsePrice(card?.querySelector(this.options.cardPrice)?.textContent);
+    if (!price) return;
+
+    this.renderPropertyOptions();
+    this.usePrice(price, card.dataset.propertyId);
+  }
+
+  onInput(e) {
+    if (e.target === this.select) {
+      const option = this.select.selectedOptions[0];
+      if (option?.dataset.price) this.usePrice(Number(option.dataset.price), option.value);
+      return;
+    }
+
+    // A typed price no longer matches the chosen property
+    if (e.target.name === 'price' && this.select) this.select.value = '';
+    this.calculate();
+  }
+
+  // ============================================
+  // CALCULATION
+  // ============================================
+
+  read() {
+    const { elements } = this.form;
+    const number = (name, min, max) => {
+      const value = parseFloat(elements[name]?.value);
+      return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+    };
+
+    return {
+      price: number('price', 0, Infinity),
+      down: number('down', 0, 100),
+      tenure: Math.round(number('tenure', 1, 35)),
+      rate: number('rate', 0, 30),
+      foreign: elements.buyer?.value === 'foreign',
+      fees: elements.fees ? elements.fees.checked : true
+    };
+  }
+
+  calculate() {
+    const input = this.read();
+    const downPayment = input.price * (input.down / 100);
+    const loan = input.price - downPayment;
+    const months = input.tenure * 12;
+    const rows = amortize(loan, input.rate, months);
+    const totalInterest = rows.reduce((sum, row) => sum + row.interest, 0);
+    const costs = input.fees
+      ? purchaseCosts({ price: input.price, loan, foreign: input.foreign }, this.tiers)
+      : { transferDuty: 0, loanDuty: 0, purchaseLegal: 0, loanLegal: 0, total: 0 };
+
+    this.result = {
+      input,
+      downPayment,
+      loan,
+      monthly: monthlyInstalment(loan, input.rate, months),
+      totalInterest,
+      totalRepayment: loan + totalInterest,
+      costs,
+      upfront: downPayment + costs.total,
+      rows,
+      years: yearlySchedule(rows)
+    };
+
+    this.activeYear = null;
+    this.renderOutputs();
+    this.renderChart();
+    if (!this.scheduleWrapper || this.scheduleWrapper.open) this.renderSchedule();
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  renderOutputs() {
+    const { result } = this;
+    const values = {
+      monthly: ringgitSen.format(result.monthly),
+      loan: ringgit.format(result.loan),
+      down: ringgit.format(result.downPayment),
+      interest: ringgit.format(result.totalInterest),
+      total: ringgit.format(result.totalRepayment),
+      'transfer-duty': ringgit.format(result.costs.transferDuty),
+      'loan-duty': ringgit.format(result.costs.loanDuty),
+      'purchase-legal': ringgit.format(result.costs.purchaseLegal),
+      'loan-legal': ringgit.format(result.costs.loanLegal),
+      costs: ringgit.format(result.costs.total),
+      upfront: ringgit.format(result.upfront)
+    };
+
+    this.outputs.forEach((el) => {
+      const key = el.dataset.mortgageOutput;
+      if (key in values) el.textContent = values[key];
+    });
+  }
+
+  renderSchedule() {
+    if (!this.schedule) return;
+
+    const rows = this.view === 'month' ? this.result.rows : this.result.years;
+    const label = this.view === 'month' ? 'Month' : 'Year';
+    const fragment = document.createDocumentFragment();
+
+    rows.forEach((row) => {
+      const tr = document.createElement('tr');
+      [`${label} ${row.period}`, row.payment, row.principal, row.interest, row.balance].forEach((value, index) => {
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        cell.textContent = index === 0 ? value : ringgitSen.format(value);
+        tr.appendChild(cell);
+      });
+      fragment.appendChild(tr);
+    });
+
+    this.schedule.replaceChildren(fragment);
+  }
+
+  onScheduleToggle() {
+    if (this.scheduleWrapper.open) this.renderSchedule();
+  }
+
+  onViewClick(e) {
+    this.view = e.currentTarget.dataset.mortgageView;
+    this.viewButtons.forEach((button) => {
+      button.setAttribute('aria-pressed', String(button.dataset.mortgageView === this.view));
+    });
+    this.renderSchedule();
+  }
+
+  // ============================================
+  // CHART
+  // ============================================
+  // Balance falling, principal and interest paid rising, per loan year,
+  // on one ringgit scale. Pointer or arrow keys pick a year.
+
+  renderChart() {
+    if (!this.chart) return;
+
+    const width = 600;
+    const height = 280;
+    const pad = { top: 16, right: 16, bottom: 32, left: 72 };
+    const { years, loan, totalInterest } = this.result;
+
+    this.chart.replaceChildren();
+    this.chartLayout = null;
+    if (!years.length) return;
+
+    // Year 0 is the day the loan starts
+    let paidPrincipal = 0;
+    let paidInterest = 0;
+    const points = [{ year: 0, balance: loan, principal: 0, interest: 0 }, ...years.map((year) => {
+      paidPrincipal += year.principal;
+      paidInterest += year.interest;
+      return { year: year.period, balance: year.balance, principal: paidPrincipal, interest: paidInterest };
+    })];
+
+    const max = Math.max(loan, totalInterest) || 1;
+    const x = (year) => pad.left + (year / years.length) * (width - pad.left - pad.right);
+    const y = (value) => pad.top + (1 - value / max) * (height - pad.top - pad.bottom);
+    const line = (key) => points.map((point, i) => `${i ? 'L' : 'M'}${x(point.year).toFixed(1)} ${y(point[key]).toFixed(1)}`).join(' ');
+
+    const svg = this.svg('svg', {
+      class: 'mortgage-chart',
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'group',
+      tabindex: '0',
+      'aria-label': `Loan balance and amounts paid over ${years.length} years. Use the arrow keys to read each year.`
+    });
+
+    // Grid and axis labels
+    [0, 0.25, 0.5, 0.75, 1].forEach((step) => {
+      const value = max * step;
+      svg.appendChild(this.svg('line', { class: 'mortgage-chart__grid', x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value) }));
+      svg.appendChild(this.svg('text', { class: 'mortgage-chart__label', x: pad.left - 8, y: y(value) + 4, 'text-anchor': 'end' }, ringgitShort.format(value)));
+    });
+
+    const tick = Math.max(1, Math.ceil(years.length / 7));
+    points.filter((point) => point.year % tick === 0).forEach((point) => {
+      svg.appendChild(this.svg('text', { class: 'mortgage-chart__label', x: x(point.year), y: height - 10, 'text-anchor': 'middle' }, String(point.year)));
+    });
+
+    svg.appendChild(this.svg('path', {
+      class: 'mortgage-chart__area',
+      d: `${line('balance')} L${x(years.length)} ${y(0)} L${x(0)} ${y(0)} Z`
+    }));
+    ['balance', 'principal', 'interest'].forEach((key) => {
+      svg.appendChild(this.svg('path', { class: `mortgage-chart__line mortgage-chart__line--${key}`, d: line(key) }));
+    });
+
+    const guide = this.svg('g', { class: 'mortgage-chart__guide', visibility: 'hidden' });
+    guide.appendChild(this.svg('line', { y1: pad.top, y2: height - pad.bottom }));
+    ['balance', 'principal', 'interest'].forEach((key) => {
+      guide.appendChild(this.svg('circle', { class: `mortgage-chart__dot mortgage-chart__dot--${key}`, r: 4, 'data-key': key }));
+    });
+    svg.appendChild(guide);
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'mortgage-chart__tooltip';
+    tooltip.hidden = true;
+    tooltip.setAttribute('aria-live', 'polite');
+
+    svg.addEventListener('pointermove', this.onChartPointer);
+    svg.addEventListener('pointerleave', this.onChartLeave);
+    svg.addEventListener('keydown', this.onChartKeydown);
+    svg.addEventListener('blur', this.onChartLeave);
+
+    this.chart.append(svg, tooltip);
+    this.chartLayout = { svg, guide, tooltip, points, x, y, width, height };
+  }
+
+  svg(tag, attributes = {}, text = '') {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    if (text) el.textContent = text;
+    return el;
+  }
+
+  showYear(year) {
+    const { guide, tooltip, points, x, y, width } = this.chartLayout;
+    const point = points[Math.max(0, Math.min(points.length - 1, year))];
+    this.activeYear = point.year;
+
+    const px = x(point.year);
+    guide.setAttribute('visibility', 'visible');
+    guide.querySelector('line').setAttribute('x1', px);
+    guide.querySelector('line').setAttribute('x2', px);
+    guide.querySelectorAll('circle').forEach((dot) => {
+      dot.setAttribute('cx', px);
+      dot.setAttribute('cy', y(point[dot.dataset.key]));
+    });
+
+    tooltip.hidden = false;
+    tooltip.innerHTML = `<strong>Year ${point.year}</strong>
+<span>Balance ${ringgit.format(point.balance)}</span>
+<span>Principal paid ${ringgit.format(point.principal)}</span>
+<span>Interest paid ${ringgit.format(point.interest)}</span>`;
+
+    // Keep the tooltip on the side of the guide with more room
+    const ratio = px / width;
+    tooltip.style.left = `${ratio * 100}%`;
+    tooltip.classList.toggle('is-flipped', ratio > 0.6);
+  }
+
+  onChartPointer(e) {
+    const { svg, points, width } = this.chartLayout;
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width) return;
+
+    // Nearest year to the pointer, in viewBox units
+    const vx = ((e.clientX - rect.left) / rect.width) * width;
+    const nearest = points.reduce((best, point) =>
+      Math.abs(this.chartLayout.x(point.year) - vx) < Math.abs(this.chartLayout.x(best.year) - vx) ? point : best
+    );
+    this.showYear(nearest.year);
+  }
+
+  onChartKeydown(e) {
+    const last = this.chartLayout.points.length - 1;
+    const current = this.activeYear ?? -1;
+    const next = {
+      ArrowRight: current + 1,
+      ArrowLeft: current - 1,
+      Home: 0,
+      End: last
+    }[e.key];
+
+    if (next === undefined) return;
+    e.preventDefault();
+    this.showYear(Math.max(0, Math.min(last, next)));
+  }
+
+  onChartLeave() {
+    if (!this.chartLayout) return;
+    this.chartLayout.guide.setAttribute('visibility', 'hidden');
+    this.chartLayout.tooltip.hidden = true;
+    this.activeYear = null;
+  }
+
+  destroy() {
+    this.form.removeEventListener('input', this.onInput);
+    this.form.removeEventListener('submit', this.onSubmit);
+    document.removeEventListener('click', this.onTrigger);
+    this.viewButtons.forEach((button) => button.removeEventListener('click', this.onViewClick));
+    this.scheduleWrapper?.removeEventListener('toggle', this.onScheduleToggle);
+    this.chart?.replaceChildren();
+    this.schedule?.replaceChildren();
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initMortgage(options = {}) {
+  const { root = document, selector = 'form[data-mortgage]' } = options;
+
+  return createController({
+    key: 'mortgage',
+    selector,
+    root,
+    create: (form) => new MortgageCalculator(form, { ...options, root })
+  });
+}
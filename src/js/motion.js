@@ -0,0 +1,79 @@
+/* ============================================
+   MOTION POLICY MODULE
+   Single source of truth for reduced motion
+   ============================================ */
+
+const STORAGE_KEY = 'lumina:reduced-motion';
+
+export class MotionPolicy {
+  constructor() {
+    this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.override = this.readOverride();   // true/false = forced, null = follow OS
+    this.listeners = new Set();
+
+    this.query.addEventListener('change', () => this.notify());
+    this.apply();
+  }
+
+  // Current policy: runtime override wins over the OS setting
+  get reduced() {
+    return this.override ?? this.query.matches;
+  }
+
+  // Force reduced motion on/off, or pass null to follow the OS again
+  set(reduced) {
+    const previous = this.reduced;
+    this.override = reduced === null ? null : Boolean(reduced);
+    this.writeOverride();
+
+    if (this.reduced !== previous) {
+      this.notify();
+    } else {
+      this.apply();
+    }
+  }
+
+  toggle() {
+    this.set(!this.reduced);
+  }
+
+  // Subscribe to policy changes; returns an unsubscribe function
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.apply();
+    this.listeners.forEach((callback) => callback(this.reduced));
+  }
+
+  // Mirror the policy on <html> so CSS can follow the runtime toggle too
+  apply() {
+    document.documentElement.classList.toggle('reduced-motion', this.reduced);
+  }
+
+  readOverride() {
+    try {
+      const value = localStorage.getItem(STORAGE_KEY);
+      return value === null ? null : value === 'true';
+    } catch {
+      return null;
+    }
+  }
+
+  writeOverride() {
+    try {
+      if (this.override === null) {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        localStorage.setItem(STORAGE_KEY, String(this.override));
+      }
+    } catch {
+      // Storage unavailable (private mode) - keep the in-memory override
+    }
+  }
+}
+
+// Shared instance queried by every interaction module
+export const motion = new MotionPolicy();
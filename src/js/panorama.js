@@ -0,0 +1,397 @@
+/* ============================================
+   PANORAMA VIEWER
+   Equirectangular images drawn on a 2D canvas,
+   one sample per pixel - no WebGL needed.
+   Drag with inertia, keys, wheel zoom
+   ============================================ */
+
+import { motion } from './motion.js';
+
+const RAD = Math.PI / 180;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Longest side kept from a source image; 4096 x 2048 is 32 MB of pixels
+const MAX_SOURCE_WIDTH = 4096;
+
+// An opaque color as one Uint32 pixel, in the platform's byte order
+function packColor([r, g, b]) {
+  return new Uint32Array(new Uint8ClampedArray([r, g, b, 255]).buffer)[0];
+}
+
+// ============================================
+// SOURCE IMAGES
+// ============================================
+// Resolves to { pixels, width, height }. The host must send CORS headers
+// or the canvas is tainted and the pixels cannot be read.
+export function loadPanorama(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.decoding = 'async';
+
+    image.onload = () => {
+      const scale = Math.min(1, MAX_SOURCE_WIDTH / image.naturalWidth);
+      const width = Math.round(image.naturalWidth * scale);
+      const height = Math.round(image.naturalHeight * scale);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+
+      try {
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, width, height);
+        const { data } = context.getImageData(0, 0, width, height);
+        resolve({ pixels: new Uint32Array(data.buffer), width, height });
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    image.onerror = () => reject(new Error(`Could not load ${src}`));
+    image.src = src;
+  });
+}
+
+// ============================================
+// PANORAMA VIEWER
+// ============================================
+// Angles are degrees. yaw 0 / pitch 0 is the middle of the image; positive
+// yaw turns right, positive pitch looks up. `coverage` is how much of the
+// sphere the image spans - { horizontal: 360, vertical: 180 } for a full
+// equirectangular capture, less for partial panoramas.
+export class PanoramaViewer {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.options = {
+      fov: 80,
+      minFov: 35,
+      maxFov: 100,
+      friction: 0.92,           // Velocity kept per frame after a throw
+      keyStep: 4,               // Degrees per arrow key press
+      zoomStep: 6,              // Degrees of fov per wheel notch or +/- key
+      movingScale: 0.5,         // Render resolution while dragging or coasting
+      background: [26, 26, 26], // Outside a partial panorama
+      onChange: null,           // (view) after every rendered frame
+      ...options
+    };
+
+    this.context = canvas.getContext('2d');
+    this.background = packColor(this.options.background);
+    this.source = null;
+    this.coverage = { horizontal: 360, vertical: 180 };
+    this.view = { yaw: 0, pitch: 0, fov: this.options.fov };
+
+    this.frame = null;
+    this.inertiaFrame = null;
+    this.drag = null;
+    this.velocity = { yaw: 0, pitch: 0 };
+    this.moving = false;
+    this.observer = null;
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onKeydown = this.onKeydown.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.canvas.addEventListener('pointermove', this.onPointerMove);
+    this.canvas.addEventListener('pointerup', this.onPointerUp);
+    this.canvas.addEventListener('pointercancel', this.onPointerUp);
+    this.canvas.addEventListener('wheel', this.onWheel, { passive: false });
+    this.canvas.addEventListener('keydown', this.onKeydown);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.observer = new ResizeObserver(() => this.requestRender());
+      this.observer.observe(this.canvas);
+    }
+  }
+
+  // Show loaded pixels (see loadPanorama) at a starting view
+  setSource(source, { coverage = {}, view = {} } = {}) {
+    this.stopInertia();
+    this.source = source;
+    this.coverage = { horizontal: 360, vertical: 180, ...coverage };
+    this.view = { yaw: 0, pitch: 0, fov: this.options.fov };
+    this.setView(view);
+  }
+
+  // ============================================
+  // VIEW
+  // ============================================
+  get width() {
+    return this.canvas.clientWidth || this.canvas.width;
+  }
+
+  get height() {
+    return this.canvas.clientHeight || this.canvas.height;
+  }
+
+  // Vertical field of view for the canvas's aspect ratio
+  verticalFov(fov = this.view.fov) {
+    return 2 * Math.atan(Math.tan((fov * RAD) / 2) * (this.height / this.width)) / RAD;
+  }
+
+  // Partial panoramas never show past their edges
+  setView({ yaw = this.view.yaw, pitch = this.view.pitch, fov = this.view.fov } = {}) {
+    const { horizontal, vertical } = this.coverage;
+    const maxFov = Math.min(this.options.maxFov, horizontal);
+
+    fov = clamp(fov, this.options.minFov, maxFov);
+    // Keep the vertical view inside the image too
+    while (fov > this.options.minFov && this.verticalFov(fov) > vertical) fov -= 1;
+
+    if (horizontal >= 360) {
+      yaw = ((yaw + 540) % 360) - 180;
+    } else {
+      const yawLimit = Math.max(0, (horizontal - fov) / 2);
+      yaw = clamp(yaw, -yawLimit, yawLimit);
+    }
+
+    const pitchLimit = Math.max(0, Math.min(90, vertical / 2) - this.verticalFov(fov) / 2);
+    pitch = clamp(pitch, -pitchLimit, pitchLimit);
+
+    this.view = { yaw, pitch, fov };
+    this.requestRender();
+  }
+
+  rotate(yaw, pitch = 0) {
+    this.setView({ yaw: this.view.yaw + yaw, pitch: this.view.pitch + pitch });
+  }
+
+  zoom(delta) {
+    this.setView({ fov: this.view.fov + delta });
+  }
+
+  // Where a direction lands on the canvas, in CSS pixels
+  project(yaw, pitch) {
+    const { width, height } = this;
+    const focal = (width / 2) / Math.tan((this.view.fov * RAD) / 2);
+
+    const lon = yaw * RAD;
+    const lat = pitch * RAD;
+    const x = Math.cos(lat) * Math.sin(lon);
+    const y = -Math.sin(lat);
+    const z = Math.cos(lat) * Math.cos(lon);
+
+    // Undo the camera's yaw, then its pitch (the inverse of render())
+    const cy = Math.cos(this.view.yaw * RAD);
+    const sy = Math.sin(this.view.yaw * RAD);
+    const cp = Math.cos(this.view.pitch * RAD);
+    const sp = Math.sin(this.view.pitch * RAD);
+
+    const dx = x * cy - z * sy;
+    const z1 = x * sy + z * cy;
+    const dy = y * cp + z1 * sp;
+    const depth = z1 * cp - y * sp;
+
+    if (depth <= 0) return { x: 0, y: 0, visible: false };
+
+    const screenX = width / 2 + (dx * focal) / depth;
+    const screenY = height / 2 + (dy * focal) / depth;
+
+    return {
+      x: screenX,
+      y: screenY,
+      visible: screenX >= 0 && screenX <= width && screenY >= 0 && screenY <= height
+    };
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+  requestRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  // For every pixel: turn its ray by the camera's pitch and yaw, then read
+  // the image at that longitude / latitude. Per-row and per-column terms
+  // are hoisted out of the inner loop.
+  render() {
+    const scale = this.moving ? this.options.movingScale : 1;
+    const width = Math.max(1, Math.round(this.width * scale));
+    const height = Math.max(1, Math.round(this.height * scale));
+
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    if (this.source) {
+      const output = this.context.createImageData(width, height);
+      const target = new Uint32Array(output.data.buffer);
+      const { pixels, width: sourceWidth, height: sourceHeight } = this.source;
+
+      const focal = (width / 2) / Math.tan((this.view.fov * RAD) / 2);
+      const cy = Math.cos(this.view.yaw * RAD);
+      const sy = Math.sin(this.view.yaw * RAD);
+      const cp = Math.cos(this.view.pitch * RAD);
+      const sp = Math.sin(this.view.pitch * RAD);
+
+      const lonSpan = this.coverage.horizontal * RAD;
+      const latSpan = this.coverage.vertical * RAD;
+      const uScale = sourceWidth / lonSpan;
+      const vScale = sourceHeight / latSpan;
+
+      const columns = new Float32Array(width);
+      for (let x = 0; x < width; x++) columns[x] = x - width / 2 + 0.5;
+
+      let i = 0;
+      for (let y = 0; y < height; y++) {
+        const dy = y - height / 2 + 0.5;
+        const rayY = dy * cp - focal * sp;
+        const rayZ = dy * sp + focal * cp;
+
+        for (let x = 0; x < width; x++, i++) {
+          const dx = columns[x];
+          const worldX = dx * cy + rayZ * sy;
+          const worldZ = rayZ * cy - dx * sy;
+
+          const lon = Math.atan2(worldX, worldZ);
+          const lat = Math.atan2(-rayY, Math.sqrt(worldX * worldX + worldZ * worldZ));
+
+          const u = Math.floor((lon + lonSpan / 2) * uScale);
+          const v = Math.floor((latSpan / 2 - lat) * vScale);
+
+          target[i] = u >= 0 && u < sourceWidth && v >= 0 && v < sourceHeight
+            ? pixels[v * sourceWidth + u]
+            : this.background;
+        }
+      }
+
+      this.context.putImageData(output, 0, 0);
+    }
+
+    this.options.onChange?.(this.view);
+  }
+
+  // ============================================
+  // INPUT
+  // ============================================
+  setMoving(moving) {
+    if (this.moving === moving) return;
+    this.moving = moving;
+    this.requestRender();
+  }
+
+  onPointerDown(e) {
+    if (e.button !== 0) return;
+
+    this.stopInertia();
+    this.canvas.setPointerCapture?.(e.pointerId);
+    this.drag = { id: e.pointerId, x: e.clientX, y: e.clientY, time: performance.now() };
+    this.velocity = { yaw: 0, pitch: 0 };
+    this.canvas.classList.add('is-dragging');
+    this.setMoving(true);
+  }
+
+  // Degrees per CSS pixel follow the zoom, so the image tracks the pointer
+  onPointerMove(e) {
+    if (!this.drag || e.pointerId !== this.drag.id) return;
+
+    const now = performance.now();
+    const degreesPerPixel = this.view.fov / this.width;
+    const yaw = -(e.clientX - this.drag.x) * degreesPerPixel;
+    const pitch = (e.clientY - this.drag.y) * degreesPerPixel;
+    const elapsed = Math.max(1, now - this.drag.time);
+
+    this.velocity = { yaw: yaw / elapsed, pitch: pitch / elapsed };
+    this.drag = { ...this.drag, x: e.clientX, y: e.clientY, time: now };
+    this.rotate(yaw, pitch);
+  }
+
+  onPointerUp(e) {
+    if (!this.drag || e.pointerId !== this.drag.id) return;
+
+    // A pause before letting go means no throw
+    const still = performance.now() - this.drag.time > 80;
+    this.drag = null;
+    this.canvas.classList.remove('is-dragging');
+
+    if (still || motion.reduced) {
+      this.setMoving(false);
+    } else {
+      this.startInertia();
+    }
+  }
+
+  // Coast on the release velocity (degrees per ms) until friction stops it
+  startInertia() {
+    let last = performance.now();
+
+    const step = (now) => {
+      const elapsed = Math.min(64, now - last);
+      last = now;
+
+      const decay = Math.pow(this.options.friction, elapsed / 16.67);
+      this.velocity.yaw *= decay;
+      this.velocity.pitch *= decay;
+
+      if (Math.abs(this.velocity.yaw) + Math.abs(this.velocity.pitch) < 0.002) {
+        this.stopInertia();
+        return;
+      }
+
+      this.rotate(this.velocity.yaw * elapsed, this.velocity.pitch * elapsed);
+      this.inertiaFrame = requestAnimationFrame(step);
+    };
+
+    this.inertiaFrame = requestAnimationFrame(step);
+  }
+
+  stopInertia() {
+    cancelAnimationFrame(this.inertiaFrame);
+    this.inertiaFrame = null;
+    if (!this.drag) this.setMoving(false);
+  }
+
+  onWheel(e) {
+    e.preventDefault();
+    this.zoom(Math.sign(e.deltaY) * this.options.zoomStep);
+  }
+
+  // Arrows look around, + / - zoom
+  onKeydown(e) {
+    const { keyStep, zoomStep } = this.options;
+    const actions = {
+      ArrowLeft: () => this.rotate(-keyStep),
+      ArrowRight: () => this.rotate(keyStep),
+      ArrowUp: () => this.rotate(0, keyStep),
+      ArrowDown: () => this.rotate(0, -keyStep),
+      '+': () => this.zoom(-zoomStep),
+      '=': () => this.zoom(-zoomStep),
+      '-': () => this.zoom(zoomStep)
+    };
+
+    const action = actions[e.key];
+    if (!action) return;
+
+    e.preventDefault();
+    this.stopInertia();
+    action();
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.frame);
+    this.stopInertia();
+    this.observer?.disconnect();
+
+    this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+    this.canvas.removeEventListener('pointermove', this.onPointerMove);
+    this.canvas.removeEventListener('pointerup', this.onPointerUp);
+    this.canvas.removeEventListener('pointercancel', this.onPointerUp);
+    this.canvas.removeEventListener('wheel', this.onWheel);
+    this.canvas.removeEventListener('keydown', this.onKeydown);
+
+    this.source = null;
+  }
+}
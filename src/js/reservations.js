@@ -0,0 +1,684 @@
+/* ============================================
+   RESERVATIONS MODULE
+   Table booking modal: party size, seating,
+   date & time with live capacity, dietary
+   notes, waitlist and an .ics confirmation
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { motion } from './motion.js';
+import { smoothScroll } from './smooth-scroll.js';
+import { createController } from './lifecycle.js';
+import { wrapFocus } from './focus.js';
+import { createAdapter, DRAFT_MESSAGE } from './adapters.js';
+import { ensureHoneypot, isSpam } from './forms.js';
+import { createIcs, icsUrl, zonedDate } from './ics.js';
+import { escapeHtml, slugify } from './format.js';
+import { isoDate, toMinutes, fromMinutes } from './dates.js';
+import { normalizeMalaysianPhone, setFieldError, validateField, validateFields } from './validation.js';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const dateLabel = new Intl.DateTimeFormat('en-MY', { weekday: 'short', day: 'numeric', month: 'short' });
+const longDateLabel = new Intl.DateTimeFormat('en-MY', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+const timeLabel = new Intl.DateTimeFormat('en-MY', { hour: 'numeric', minute: '2-digit' });
+
+// ============================================
+// AVAILABILITY
+// ============================================
+// {
+//   "slotMinutes": 30, "leadDays": 0, "horizonDays": 30, "maxParty": 8,
+//   "duration": 150,                          minutes per sitting (for the .ics)
+//   "timezone": "+08:00",                     offset the times are in
+//   "hours": { "default": ["18:00", "21:30"], "mon": null },   first and last sitting
+//   "closed": ["2026-12-25"],
+//   "seating": {
+//     "counter": { "label": "Chef's Counter", "capacity": 8, "maxParty": 4 },
+//     "private": { "label": "Private Room", "capacity": 12, "minParty": 6, "exclusive": true }
+//   },
+//   "booked": { "fri": { "19:30": { "counter": 8 } }, "2026-11-14": { "20:00": { "dining": 30 } } }
+// }
+// Capacity and booked numbers are covers (guests); an exclusive seating
+// takes one party at a time. Weekday keys repeat; "*" applies to every day.
+
+// Covers already booked per seating at each time on a day
+function bookedCovers(availability, iso, weekday) {
+  const { booked = {} } = availability;
+  const totals = {};
+
+  [booked['*'], booked[weekday], booked[iso]].forEach((day) => {
+    Object.entries(day || {}).forEach(([time, seatings]) => {
+      totals[time] = totals[time] || {};
+      Object.entries(seatings).forEach(([seating, covers]) => {
+        totals[time][seating] = (totals[time][seating] || 0) + covers;
+      });
+    });
+  });
+
+  return totals;
+}
+
+// [{ time, status: 'open' | 'full' }] for a party in a seating on `date`
+export function getSittings(availability, date, party, seatingKey, now = new Date()) {
+  const { slotMinutes = 30, hours = {}, closed = [], seating = {} } = availability;
+  const iso = isoDate(date);
+  const weekday = WEEKDAYS[date.getDay()];
+  const area = seating[seatingKey];
+
+  if (!area || closed.includes(iso)) return [];
+
+  const open = weekday in hours ? hours[weekday] : hours.default;
+  if (!open) return [];
+
+  const covers = bookedCovers(availability, iso, weekday);
+  const earliest = iso === isoDate(now) ? now.getHours() * 60 + now.getMinutes() : -1;
+  const sittings = [];
+
+  for (let start = toMinutes(open[0]); start <= toMinutes(open[1]); start += slotMinutes) {
+    if (start <= earliest) continue;
+
+    const time = fromMinutes(start);
+    const taken = covers[time]?.[seatingKey] || 0;
+    const fits = area.exclusive ? taken === 0 : taken + party <= area.capacity;
+
+    sittings.push({ time, status: fits ? 'open' : 'full' });
+  }
+
+  return sittings;
+}
+
+// Whether a seating area takes a party of this size at all
+export function seatsParty(area, party) {
+  return party >= (area.minParty || 1) && party <= (area.maxParty || area.capacity);
+}
+
+// ============================================
+// DIETARY OPTIONS
+// ============================================
+// Menu items list what they contain in data-dietary="shellfish, dairy";
+// each becomes a checkbox naming the dishes it affects
+export function readDietary(items, titleSelector) {
+  const options = new Map();       // tag -> dish titles
+
+  items.forEach((item) => {
+    const title = item.querySelector(titleSelector)?.textContent.trim() || '';
+    (item.dataset.dietary || '').split(',').map((tag) => tag.trim()).filter(Boolean).forEach((tag) => {
+      if (!options.has(tag)) options.set(tag, []);
+      options.get(tag).push(title);
+    });
+  });
+
+  return Array.from(options, ([tag, dishes]) => ({ tag, dishes }));
+}
+
+// ============================================
+// RESERVATION MODAL
+// ============================================
+// Markup: [data-reservation] holding an overlay and panel with
+// [data-reservation-close], a form with select[name="party"],
+// [data-reservation-seating], [data-reservation-dates], [data-reservation-slots],
+// [data-reservation-dietary], the contact fields, [data-reservation-submit],
+// [data-reservation-error] and a [data-reservation-result] panel
+export class Reservation {
+  constructor(modal, options = {}) {
+    this.modal = modal;
+    this.options = {
+      root: document,
+      availability: null,              // URL; falls back to the inline JSON
+      adapter: null,                   // Unset: `json` given an adapterOptions.endpoint, else the build default
+      adapterOptions: {},
+      trigger: '[data-reserve]',
+      menuItem: '.menu-item',
+      dishTitle: 'h3',
+      venue: 'Savor',
+      location: '',
+      ...options
+    };
+
+    const find = (name) => modal.querySelector(`[data-reservation-${name}]`);
+
+    this.panel = modal.querySelector('[role="dialog"]');
+    this.form = modal.querySelector('form');
+    this.partySelect = this.form.elements.party;
+    this.seatingList = find('seating');
+    this.dateList = find('dates');
+    this.slotList = find('slots');
+    this.dietaryList = find('dietary');
+    this.submitButton = find('submit');
+    this.error = find('error');
+    this.result = find('result');
+    this.fields = Array.from(this.form.querySelectorAll('[data-reservation-field]'));
+
+    this.adapter = createAdapter(this.options.adapter, this.options.adapterOptions);
+    this.availability = null;
+    this.state = { party: 2, seating: null, date: null, time: null, status: null };
+    this.isOpen = false;
+    this.submitting = false;
+    this.destroyed = false;
+    this.lastFocus = null;
+    this.icsHref = null;
+    this.hideTimeout = null;
+
+    this.onTrigger = this.onTrigger.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onChange = this.onChange.bind(this);
+    this.onSubmit = this.onSubmit.bind(this);
+    this.onKeydown = this.onKeydown.bind(this);
+    this.onFieldBlur = this.onFieldBlur.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.form.noValidate = true;
+    this.honeypot = ensureHoneypot(this.form);
+
+    document.addEventListener('click', this.onTrigger);
+    this.modal.addEventListener('click', this.onClick);
+    this.form.addEventListener('change', this.onChange);
+    this.form.addEventListener('submit', this.onSubmit);
+    this.form.addEventListener('focusout', this.onFieldBlur);
+
+    this.renderDietary();
+    this.loadAvailability();
+  }
+
+  async loadAvailability() {
+    const url = this.options.availability;
+    const inline = this.modal.querySelector('[data-reservation-availability]');
+
+    try {
+      if (url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.availability = await response.json();
+      } else {
+        this.availability = JSON.parse(inline?.textContent || '{}');
+      }
+    } catch (error) {
+      console.warn('Lumina: could not load reservation availability', error);
+      this.availability = null;
+    }
+
+    if (this.destroyed) return;
+    this.renderParty();
+    this.renderSeating();
+    this.renderDates();
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  renderParty() {
+    const { maxParty = 8 } = this.availability || {};
+    const options = [];
+
+    for (let size = 1; size <= maxParty; size++) {
+      options.push(`<option value="${size}">${size} ${size === 1 ? 'guest' : 'guests'}</option>`);
+    }
+
+    this.partySelect.innerHTML = options.join('');
+    this.state.party = Math.min(this.state.party, maxParty);
+    this.partySelect.value = String(this.state.party);
+  }
+
+  renderSeating() {
+    if (!this.seatingList) return;
+
+    const { seating = {} } = this.availability || {};
+    const { party } = this.state;
+
+    // Keep the choice only while it still takes the party
+    if (this.state.seating && !seatsParty(seating[this.state.seating], party)) {
+      this.state.seating = null;
+    }
+    if (!this.state.seating) {
+      this.state.seating = Object.keys(seating).find((key) => seatsParty(seating[key], party)) || null;
+    }
+
+    this.seatingList.innerHTML = Object.entries(seating).map(([key, area]) => {
+      const fits = seatsParty(area, party);
+      const limits = area.minParty
+        ? `${area.minParty}-${area.maxParty || area.capacity} guests`
+        : `Up to ${area.maxParty || area.capacity} guests`;
+
+      return `
+        <label class="reservation__option${fits ? '' : ' is-disabled'}">
+          <input type="radio" name="seating" value="${escapeHtml(key)}"
+            ${key === this.state.seating ? 'checked' : ''} ${fits ? '' : 'disabled'}>
+          <span class="reservation__option-title">${escapeHtml(area.label || key)}</span>
+          <span class="reservation__option-meta">${limits}</span>
+        </label>
+      `;
+    }).join('');
+  }
+
+  renderDates() {
+    if (!this.dateList) return;
+
+    if (!this.availability) {
+      this.dateList.innerHTML = '<p class="reservation__empty">Online reservations are unavailable right now. Please call us.</p>';
+      this.renderSlots();
+      return;
+    }
+
+    const { leadDays = 0, horizonDays = 30 } = this.availability;
+    const now = new Date();
+
+    this.days = [];
+    for (let offset = leadDays; offset < leadDays + horizonDays; offset++) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      const sittings = getSittings(this.availability, date, this.state.party, this.state.seating, now);
+      this.days.push({ date, iso: isoDate(date), sittings });
+    }
+
+    if (!this.days.some(({ iso, sittings }) => iso === this.state.date && sittings.length)) {
+      this.state.date = null;
+    }
+
+    this.dateList.innerHTML = this.days.map(({ date, iso, sittings }) => {
+      const selected = iso === this.state.date;
+      const open = sittings.some(({ status }) => status === 'open');
+      const parts = dateLabel.formatToParts(date);
+      const part = (type) => parts.find((p) => p.type === type)?.value || '';
+      const note = !sittings.length ? ', closed' : open ? '' : ', waitlist only';
+
+      return `
+        <button type="button" class="reservation__date${selected ? ' is-selected' : ''}${open ? '' : ' is-full'}"
+          data-date="${iso}" aria-pressed="${selected}" ${sittings.length ? '' : 'disabled'}
+          aria-label="${longDateLabel.format(date)}${note}">
+          <span>${part('weekday')}</span>
+          <span class="reservation__date-day">${date.getDate()}</span>
+          <span>${part('month')}</span>
+        </button>
+      `;
+    }).join('');
+
+    this.renderSlots();
+  }
+
+  renderSlots() {
+    if (!this.slotList) return;
+
+    const day = this.days?.find(({ iso }) => iso === this.state.date);
+    const sitting = day?.sittings.find(({ time }) => time === this.state.time);
+
+    this.state.time = sitting ? sitting.time : null;
+    this.state.status = sitting ? sitting.status : null;
+
+    if (!day) {
+      this.slotList.innerHTML = this.availability
+        ? '<p class="reservation__empty">Choose a date to see available times.</p>'
+        : '';
+    } else {
+      this.slotList.innerHTML = day.sittings.map(({ time, status }) => {
+        const selected = time === this.state.time;
+        const label = this.formatTime(day.iso, time);
+
+        return `
+          <button type="button" class="reservation__slot${selected ? ' is-selected' : ''} is-${status}"
+            data-time="${time}" aria-pressed="${selected}"
+            aria-label="${label}${status === 'full' ? ', fully booked - join the waitlist' : ''}">
+            ${label}${status === 'full' ? '<small>Waitlist</small>' : ''}
+          </button>
+        `;
+      }).join('');
+    }
+
+    this.updateSubmit();
+  }
+
+  renderDietary() {
+    if (!this.dietaryList) return;
+
+    const items = Array.from(this.options.root.querySelectorAll(this.options.menuItem));
+    const options = readDietary(items, this.options.dishTitle);
+
+    this.dietaryList.innerHTML = options.map(({ tag, dishes }) => `
+      <label class="reservation__check">
+        <input type="checkbox" name="dietary" value="${escapeHtml(tag)}">
+        <span>No ${escapeHtml(tag)}</span>
+        <small>${escapeHtml(dishes.join(', '))}</small>
+      </label>
+    `).join('');
+  }
+
+  // The same button books or joins the waitlist
+  updateSubmit() {
+    if (!this.submitButton || this.submitting) return;
+    this.submitButton.textContent = this.state.status === 'full' ? 'Join Waitlist' : 'Reserve Table';
+  }
+
+  formatTime(iso, time) {
+    const [year, month, day] = iso.split('-').map(Number);
+    return timeLabel.format(new Date(year, month - 1, day, 0, toMinutes(time)));
+  }
+
+  setError(message) {
+    if (!this.error) return;
+    this.error.textContent = message;
+    this.error.hidden = !message;
+  }
+
+  // ============================================
+  // MODAL
+  // ============================================
+
+  onTrigger(e) {
+    const trigger = e.target.closest(this.options.trigger);
+    if (!trigger || !this.options.root.contains(trigger)) return;
+
+    e.preventDefault();
+    this.open();
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.lastFocus = document.activeElement;
+
+    clearTimeout(this.hideTimeout);
+    this.modal.hidden = false;
+    document.body.classList.add('reservation-open');
+    smoothScroll.stop('reservation');
+    document.addEventListener('keydown', this.onKeydown);
+
+    // Next frame so the fade-in runs from the hidden state
+    requestAnimationFrame(() => {
+      this.modal.classList.add('is-open');
+      this.panel.querySelector('[data-reservation-heading]')?.focus();
+    });
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    this.modal.classList.remove('is-open');
+    document.body.classList.remove('reservation-open');
+    smoothScroll.start('reservation');
+    document.removeEventListener('keydown', this.onKeydown);
+
+    const hide = () => {
+      clearTimeout(this.hideTimeout);
+      if (!this.isOpen) this.modal.hidden = true;
+    };
+    if (motion.reduced) {
+      hide();
+    } else {
+      this.hideTimeout = setTimeout(hide, 400);
+    }
+
+    this.lastFocus?.focus?.();
+  }
+
+  // Escape closes; Tab wraps inside the panel
+  onKeydown(e) {
+    if (e.key === 'Escape') {
+      this.close();
+      return;
+    }
+
+    wrapFocus(e, this.panel);
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  onClick(e) {
+    if (e.target.closest('[data-reservation-close]')) {
+      this.close();
+      return;
+    }
+
+    if (e.target.closest('[data-reservation-reset]')) {
+      this.reset();
+      return;
+    }
+
+    const dateButton = e.target.closest('[data-date]');
+    if (dateButton && !dateButton.disabled) {
+      this.state.date = dateButton.dataset.date;
+      this.setError('');
+      this.renderDates();
+      return;
+    }
+
+    const slotButton = e.target.closest('[data-time]');
+    if (slotButton) {
+      this.state.time = slotButton.dataset.time;
+      this.setError('');
+      this.renderSlots();
+      this.slotList.querySelector(`[data-time="${this.state.time}"]`)?.focus();
+    }
+  }
+
+  onChange(e) {
+    const { name, value } = e.target;
+
+    if (name === 'party') {
+      this.state.party = parseInt(value, 10) || 1;
+      this.renderSeating();
+      this.renderDates();
+    } else if (name === 'seating') {
+      this.state.seating = value;
+      this.renderDates();
+    }
+  }
+
+  onFieldBlur(e) {
+    if (!this.fields.includes(e.target)) return;
+    if (!e.target.hasAttribute('aria-invalid') && !e.target.value.trim()) return;
+    setFieldError(e.target, validateField(e.target));
+  }
+
+  // ============================================
+  // SUBMISSION
+  // ============================================
+
+  async onSubmit(e) {
+    e.preventDefault();
+    if (this.submitting) return;
+
+    const { seating, date, time } = this.state;
+    if (!this.availability) return this.setError('Online reservations are unavailable right now.');
+    if (!seating) return this.setError('No seating area takes a party of this size online - please call us.');
+    if (!date) return this.setError('Please choose a date.');
+    if (!time) return this.setError('Please choose a time.');
+
+    const invalid = validateFields(this.fields);
+    if (invalid.length) {
+      invalid[0].focus();
+      return;
+    }
+
+    this.setError('');
+    const reservation = this.collect();
+
+    // Bots see a confirmation; nothing is sent
+    if (isSpam(this.form)) {
+      this.showResult(reservation);
+      return;
+    }
+
+    this.setLoading(true);
+
+    try {
+      const response = await this.adapter.submit(reservation);
+      if (this.destroyed) return;
+
+      if (reservation.type === 'reservation') this.markBooked(reservation);
+      this.showResult(reservation, response);
+    } catch (error) {
+      if (!this.destroyed) this.setError(error.message || 'Something went wrong. Please try again.');
+    } finally {
+      if (!this.destroyed) this.setLoading(false);
+    }
+  }
+
+  collect() {
+    const { party, seating, date, time, status } = this.state;
+    const value = (name) => this.form.elements[name]?.value.trim() || '';
+    const area = this.availability.seating[seating];
+
+    return {
+      type: status === 'full' ? 'waitlist' : 'reservation',
+      party,
+      seating: { id: seating, label: area.label || seating },
+      date,
+      time,
+      dietary: Array.from(this.form.querySelectorAll('input[name="dietary"]:checked')).map((input) => input.value),
+      notes: value('notes'),
+      name: value('name'),
+      phone: normalizeMalaysianPhone(value('phone')),
+      email: value('email')
+    };
+  }
+
+  setLoading(loading) {
+    this.submitting = loading;
+    this.form.classList.toggle('is-loading', loading);
+    this.form.setAttribute('aria-busy', String(loading));
+
+    if (this.submitButton) {
+      this.submitButton.disabled = loading;
+      if (loading) {
+        this.submitButton.textContent = 'Sending…';
+      } else {
+        this.updateSubmit();
+      }
+    }
+  }
+
+  // Count the party against the sitting for the rest of the visit
+  markBooked({ date, time, seating, party }) {
+    const booked = this.availability.booked || (this.availability.booked = {});
+    const day = booked[date] || (booked[date] = {});
+    const sitting = day[time] || (day[time] = {});
+
+    sitting[seating.id] = (sitting[seating.id] || 0) + party;
+  }
+
+  createIcs(reservation, reference) {
+    const { duration = 150, timezone = '+08:00' } = this.availability;
+    const { venue, location } = this.options;
+    const start = zonedDate(reservation.date, reservation.time, timezone);
+
+    const description = [
+      `Party of ${reservation.party}, ${reservation.seating.label}`,
+      reference && `Reference: ${reference}`,
+      reservation.dietary.length && `Dietary: no ${reservation.dietary.join(', no ')}`,
+      reservation.notes && `Notes: ${reservation.notes}`
+    ].filter(Boolean).join('\n');
+
+    return createIcs({
+      uid: `${reference || Date.now()}-${slugify(venue)}@lumina`,
+      start,
+      end: new Date(start.getTime() + duration * 60000),
+      title: `Dinner at ${venue}`,
+      description,
+      location
+    });
+  }
+
+  showResult(reservation, response = {}) {
+    const { reference, draft } = response;
+    const when = `${longDateLabel.format(new Date(`${reservation.date}T00:00`))} at ${this.formatTime(reservation.date, reservation.time)}`;
+    const guests = `${reservation.party} ${reservation.party === 1 ? 'guest' : 'guests'}`;
+    const referenceLine = reference
+      ? `<p class="reservation__reference">Reference <strong>${escapeHtml(reference)}</strong></p>`
+      : '';
+    // The mailto adapter only drafts the request; the guest still sends it
+    const draftLine = draft ? `<p>${DRAFT_MESSAGE}</p>` : '';
+
+    this.revokeIcs();
+    this.form.hidden = true;
+
+    if (reservation.type === 'waitlist') {
+      this.result.innerHTML = `
+        <h3 class="reservation__result-title" tabindex="-1">${draft ? 'One last step - send the email to join the waitlist' : "You're on the waitlist"}</h3>
+        <p>${escapeHtml(reservation.seating.label)} for ${guests}, ${when}. We'll text
+          ${escapeHtml(reservation.phone)} if a table opens up.</p>
+        ${draftLine}
+        ${referenceLine}
+        <button type="button" class="btn-reserve" data-reservation-reset>Make another request</button>
+      `;
+    } else {
+      this.icsHref = icsUrl(this.createIcs(reservation, reference));
+      this.result.innerHTML = `
+        <h3 class="reservation__result-title" tabindex="-1">${draft ? 'One last step - send the email to book your table' : 'Your table is confirmed'}</h3>
+        <p>${escapeHtml(reservation.seating.label)} for ${guests}, ${when}.</p>
+        ${draftLine}
+        ${referenceLine}
+        <div class="reservation__actions">
+          <a class="btn-reserve" href="${this.icsHref}" download="${slugify(this.options.venue)}-reservation.ics">Add to calendar (.ics)</a>
+          <button type="button" class="reservation__link" data-reservation-reset>Make another reservation</button>
+        </div>
+      `;
+    }
+
+    this.result.hidden = false;
+    this.result.querySelector('.reservation__result-title').focus();
+
+    if (!motion.reduced) {
+      gsap.fromTo(this.result,
+        { autoAlpha: 0, y: 16 },
+        { autoAlpha: 1, y: 0, duration: 0.6, ease: 'power3.out', clearProps: 'all' }
+      );
+    }
+  }
+
+  revokeIcs() {
+    if (this.icsHref) URL.revokeObjectURL(this.icsHref);
+    this.icsHref = null;
+  }
+
+  reset() {
+    this.revokeIcs();
+    this.form.reset();
+    this.fields.forEach((field) => setFieldError(field, ''));
+    this.form.hidden = false;
+    this.result.hidden = true;
+    this.result.innerHTML = '';
+
+    this.state = { ...this.state, date: null, time: null, status: null };
+    this.partySelect.value = String(this.state.party);
+    this.renderSeating();
+    this.renderDates();
+    this.panel.querySelector('[data-reservation-heading]')?.focus();
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.close();
+    clearTimeout(this.hideTimeout);
+    this.modal.hidden = true;
+    this.revokeIcs();
+
+    document.removeEventListener('click', this.onTrigger);
+    document.removeEventListener('keydown', this.onKeydown);
+    this.modal.removeEventListener('click', this.onClick);
+    this.form.removeEventListener('change', this.onChange);
+    this.form.removeEventListener('submit', this.onSubmit);
+    this.form.removeEventListener('focusout', this.onFieldBlur);
+
+    gsap.killTweensOf(this.result);
+    if (this.honeypot.created) this.honeypot.field.closest('.form-honeypot').remove();
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initReservations(options = {}) {
+  const { root = document, selector = '[data-reservation]' } = options;
+
+  return createController({
+    key: 'reservation',
+    selector,
+    root,
+    create: (modal) => new Reservation(modal, { ...options, root })
+  });
+}
@@ -5,27 +5,89 @@
 
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { motion } from './motion.js';
+import { sound } from './sound.js';
+import { createController, combineControllers } from './lifecycle.js';
 
 gsap.registerPlugin(ScrollTrigger);
 
+// ============================================
+// REDUCED MOTION
+// ============================================
+// Reveals snap to their end state, parallax stays at rest
+const revealTweens = new Set();
+const parallaxTweens = new Set();
+
+function settleReveal(tween, reduced) {
+  if (reduced) {
+    tween.scrollTrigger?.disable(false);
+    tween.progress(1);
+  } else {
+    tween.scrollTrigger?.enable();
+  }
+}
+
+function settleParallax(tween, reduced) {
+  if (reduced) {
+    tween.scrollTrigger?.disable(false);
+    tween.progress(0);
+  } else {
+    tween.scrollTrigger?.enable();
+  }
+}
+
+// Register a tween and hand back a controller instance that kills it
+function track(set, settle, tween) {
+  set.add(tween);
+  if (motion.reduced) settle(tween, true);
+
+  return {
+    tween,
+    destroy() {
+      set.delete(tween);
+      tween.revert();
+    }
+  };
+}
+
+function trackReveal(tween) {
+  return track(revealTweens, settleReveal, tween);
+}
+
+function trackParallax(tween) {
+  return track(parallaxTweens, settleParallax, tween);
+}
+
+motion.subscribe((reduced) => {
+  revealTweens.forEach((tween) => settleReveal(tween, reduced));
+  parallaxTweens.forEach((tween) => settleParallax(tween, reduced));
+});
+
 // ============================================
 // HERO ANIMATIONS
 // ============================================
-export function initHeroAnimations() {
-  const hero = document.querySelector('.hero');
-  if (!hero) return;
+export function initHeroAnimations(root = document) {
+  return createController({
+    key: 'hero',
+    selector: '.hero',
+    root,
+    create: (hero) => trackReveal(heroTimeline(hero))
+  });
+}
 
+function heroTimeline(hero) {
+  const q = gsap.utils.selector(hero);
   const tl = gsap.timeline({ defaults: { ease: 'power3.out' } });
 
   // Eyebrow
-  tl.to('.hero__eyebrow', {
+  tl.to(q('.hero__eyebrow'), {
     opacity: 1,
     y: 0,
     duration: 0.8
   });
 
   // Title lines (staggered)
-  tl.to('.hero__title-text', {
+  tl.to(q('.hero__title-text'), {
     opacity: 1,
     y: 0,
     duration: 1,
@@ -33,194 +95,230 @@ export function initHeroAnimations() {
   }, '-=0.4');
 
   // Subtitle
-  tl.to('.hero__subtitle', {
+  tl.to(q('.hero__subtitle'), {
     opacity: 1,
     y: 0,
     duration: 0.8
   }, '-=0.6');
 
   // CTA buttons
-  tl.to('.hero__cta', {
+  tl.to(q('.hero__cta'), {
     opacity: 1,
     y: 0,
     duration: 0.8
   }, '-=0.5');
 
   // Scroll indicator
-  tl.to('.hero__scroll', {
+  tl.to(q('.hero__scroll'), {
     opacity: 1,
     duration: 0.6
   }, '-=0.3');
+
+  return tl;
 }
 
 // ============================================
-// SCROLL-TRIGGERED REVEALS
+// ANIMATION REGISTRY
 // ============================================
-export function initScrollReveals() {
-  // Fade Up animations
-  gsap.utils.toArray('[data-animate="fade-up"]').forEach((el) => {
-    gsap.to(el, {
-      scrollTrigger: {
-        trigger: el,
-        start: 'top 85%',
-        toggleActions: 'play none none reverse'
-      },
-      opacity: 1,
-      y: 0,
-      duration: 0.8,
-      ease: 'power3.out'
-    });
-  });
+// Presets for [data-animate="name"]. Each preset has:
+//   from    - optional start vars (omit to animate from the CSS base state)
+//   to      - end vars, including duration / ease / stagger
+//   trigger - ScrollTrigger defaults (start, toggleActions, ...)
+//   targets - optional (el) => what to animate (defaults to the element)
+const animations = new Map();
 
-  // Fade In
-  gsap.utils.toArray('[data-animate="fade-in"]').forEach((el) => {
-    gsap.to(el, {
-      scrollTrigger: {
-        trigger: el,
-        start: 'top 85%',
-        toggleActions: 'play none none reverse'
-      },
-      opacity: 1,
-      duration: 1,
-      ease: 'power2.out'
-    });
-  });
+const defaultTrigger = {
+  start: 'top 85%',
+  toggleActions: 'play none none reverse'
+};
 
-  // Scale Up
-  gsap.utils.toArray('[data-animate="scale-up"]').forEach((el) => {
-    gsap.to(el, {
-      scrollTrigger: {
-        trigger: el,
-        start: 'top 85%',
-        toggleActions: 'play none none reverse'
-      },
-      opacity: 1,
-      scale: 1,
-      duration: 0.8,
-      ease: 'power3.out'
-    });
+export function registerAnimation(name, { from = null, to = {}, trigger = {}, targets = null } = {}) {
+  animations.set(name, {
+    from,
+    to,
+    trigger: { ...defaultTrigger, ...trigger },
+    targets
   });
+}
 
-  // Slide Left
-  gsap.utils.toArray('[data-animate="slide-left"]').forEach((el) => {
-    gsap.to(el, {
-      scrollTrigger: {
-        trigger: el,
-        start: 'top 85%',
-        toggleActions: 'play none none reverse'
-      },
-      opacity: 1,
-      x: 0,
-      duration: 0.8,
-      ease: 'power3.out'
-    });
-  });
+export function getAnimation(name) {
+  return animations.get(name);
+}
 
-  // Slide Right
-  gsap.utils.toArray('[data-animate="slide-right"]').forEach((el) => {
-    gsap.to(el, {
-      scrollTrigger: {
-        trigger: el,
-        start: 'top 85%',
-        toggleActions: 'play none none reverse'
-      },
-      opacity: 1,
-      x: 0,
-      duration: 0.8,
-      ease: 'power3.out'
-    });
-  });
+registerAnimation('fade-up', {
+  to: { opacity: 1, y: 0, duration: 0.8, ease: 'power3.out' }
+});
 
-  // Reveal (Clip Path)
-  gsap.utils.toArray('[data-animate="reveal"]').forEach((el) => {
-    gsap.to(el, {
-      scrollTrigger: {
-        trigger: el,
-        start: 'top 80%',
-        toggleActions: 'play none none reverse'
-      },
-      clipPath: 'inset(0 0 0 0)',
-      duration: 1.2,
-      ease: 'power4.inOut'
-    });
-  });
+registerAnimation('fade-in', {
+  to: { opacity: 1, duration: 1, ease: 'power2.out' }
+});
+
+registerAnimation('scale-up', {
+  to: { opacity: 1, scale: 1, duration: 0.8, ease: 'power3.out' }
+});
+
+registerAnimation('slide-left', {
+  to: { opacity: 1, x: 0, duration: 0.8, ease: 'power3.out' }
+});
+
+registerAnimation('slide-right', {
+  to: { opacity: 1, x: 0, duration: 0.8, ease: 'power3.out' }
+});
+
+registerAnimation('reveal', {
+  to: { clipPath: 'inset(0 0 0 0)', duration: 1.2, ease: 'power4.inOut' },
+  trigger: { start: 'top 80%' }
+});
 
-  // Staggered children
-  gsap.utils.toArray('[data-animate="stagger"]').forEach((container) => {
-    const children = container.children;
-
-    gsap.to(children, {
-      scrollTrigger: {
-        trigger: container,
-        start: 'top 80%',
-        toggleActions: 'play none none reverse'
-      },
-      opacity: 1,
-      y: 0,
-      duration: 0.6,
-      stagger: 0.1,
-      ease: 'power3.out'
-    });
+registerAnimation('stagger', {
+  to: { opacity: 1, y: 0, duration: 0.6, stagger: 0.1, ease: 'power3.out' },
+  trigger: { start: 'top 80%' },
+  targets: (el) => el.children
+});
+
+// Per-element overrides: data-animate-delay / -duration / -ease / -start / -once
+function readOverrides(el) {
+  const { animateDelay, animateDuration, animateEase, animateStart, animateOnce } = el.dataset;
+  const to = {};
+  const trigger = {};
+
+  if (animateDelay !== undefined) to.delay = parseFloat(animateDelay) || 0;
+  if (animateDuration !== undefined) to.duration = parseFloat(animateDuration) || 0;
+  if (animateEase) to.ease = animateEase;
+  if (animateStart) trigger.start = animateStart;
+
+  // Bare attribute or "true": play once, never reverse on scroll back
+  if (animateOnce !== undefined && animateOnce !== 'false') {
+    trigger.toggleActions = 'play none none none';
+  }
+
+  return { to, trigger };
+}
+
+function createReveal(el) {
+  const preset = animations.get(el.dataset.animate);
+
+  if (!preset) {
+    console.warn(`Lumina: no animation registered for data-animate="${el.dataset.animate}"`);
+    return null;
+  }
+
+  const overrides = readOverrides(el);
+  const targets = preset.targets ? preset.targets(el) : el;
+  const to = {
+    ...preset.to,
+    ...overrides.to,
+    scrollTrigger: {
+      // Cue on the way down; a preset's own onEnter replaces it
+      onEnter: () => sound.play('whoosh'),
+      ...preset.trigger,
+      ...overrides.trigger,
+      trigger: el
+    }
+  };
+
+  return trackReveal(preset.from
+    ? gsap.fromTo(targets, preset.from, to)
+    : gsap.to(targets, to));
+}
+
+// ============================================
+// SCROLL-TRIGGERED REVEALS
+// ============================================
+export function initScrollReveals(root = document) {
+  return createController({
+    key: 'reveal',
+    selector: '[data-animate]',
+    root,
+    create: createReveal
   });
 }
 
 // ============================================
 // PARALLAX EFFECTS
 // ============================================
-export function initParallax() {
-  gsap.utils.toArray('[data-parallax]').forEach((el) => {
-    const speed = parseFloat(el.dataset.parallax) || 0.5;
-
-    gsap.to(el, {
-      scrollTrigger: {
-        trigger: el.parentElement || el,
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
-      },
-      yPercent: -30 * speed,
-      ease: 'none'
-    });
+export function initParallax(root = document) {
+  return createController({
+    key: 'parallax',
+    selector: '[data-parallax]',
+    root,
+    create: (el) => {
+      const speed = parseFloat(el.dataset.parallax) || 0.5;
+
+      return trackParallax(gsap.to(el, {
+        scrollTrigger: {
+          trigger: el.parentElement || el,
+          start: 'top bottom',
+          end: 'bottom top',
+          scrub: true
+        },
+        yPercent: -30 * speed,
+        ease: 'none'
+      }));
+    }
   });
 }
 
 // ============================================
 // SCROLL PROGRESS BAR
 // ============================================
-export function initScrollProgress() {
-  const progress = document.querySelector('.scroll-progress');
-  if (!progress) return;
-
-  // Use vanilla JS scroll listener for better mobile compatibility
-  function updateProgress() {
-    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-    const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
-    const scrollPercent = scrollHeight > 0 ? scrollTop / scrollHeight : 0;
-    progress.style.transform = `scaleX(${scrollPercent})`;
-  }
+export function initScrollProgress(root = document) {
+  return createController({
+    key: 'scroll-progress',
+    selector: '.scroll-progress',
+    root,
+    create: (progress) => {
+      // Use vanilla JS scroll listener for better mobile compatibility
+      function updateProgress() {
+        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+        const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+        const scrollPercent = scrollHeight > 0 ? scrollTop / scrollHeight : 0;
+        progress.style.transform = `scaleX(${scrollPercent})`;
+      }
 
-  // Update on scroll with passive listener for performance
-  window.addEventListener('scroll', updateProgress, { passive: true });
+      // Update on scroll with passive listener for performance
+      window.addEventListener('scroll', updateProgress, { passive: true });
 
-  // Initial update
-  updateProgress();
+      // Initial update
+      updateProgress();
+
+      return {
+        destroy() {
+          window.removeEventListener('scroll', updateProgress);
+          progress.style.transform = '';
+        }
+      };
+    }
+  });
 }
 
 // ============================================
 // NAV SCROLL STATE
 // ============================================
-export function initNavScroll() {
-  const nav = document.querySelector('.nav');
-  if (!nav) return;
-
-  ScrollTrigger.create({
-    start: 'top -80',
-    onUpdate: (self) => {
-      if (self.direction === 1 && self.scroll() > 80) {
-        nav.classList.add('is-scrolled');
-      } else if (self.scroll() < 80) {
-        nav.classList.remove('is-scrolled');
-      }
+// Options: selector, className, offset (px scrolled before the class lands)
+export function initNavScroll(root = document, { selector = '.nav', className = 'is-scrolled', offset = 80 } = {}) {
+  return createController({
+    key: 'nav-scroll',
+    selector,
+    root,
+    create: (nav) => {
+      const trigger = ScrollTrigger.create({
+        start: `top -${offset}`,
+        onUpdate: (self) => {
+          if (self.direction === 1 && self.scroll() > offset) {
+            nav.classList.add(className);
+          } else if (self.scroll() < offset) {
+            nav.classList.remove(className);
+          }
+        }
+      });
+
+      return {
+        destroy() {
+          trigger.kill();
+          nav.classList.remove(className);
+        }
+      };
     }
   });
 }
@@ -228,36 +326,53 @@ export function initNavScroll() {
 // ============================================
 // COUNTER ANIMATION
 // ============================================
-export function initCounters() {
-  gsap.utils.toArray('[data-counter]').forEach((el) => {
-    const target = parseInt(el.dataset.counter, 10);
-    const suffix = el.dataset.counterSuffix || '';
-
-    const obj = { value: 0 };
-
-    gsap.to(obj, {
-      scrollTrigger: {
-        trigger: el,
-        start: 'top 80%'
-      },
-      value: target,
-      duration: 2,
-      ease: 'power2.out',
-      onUpdate: () => {
-        el.textContent = Math.round(obj.value) + suffix;
-      }
-    });
+export function initCounters(root = document) {
+  return createController({
+    key: 'counter',
+    selector: '[data-counter]',
+    root,
+    create: (el) => {
+      const target = parseInt(el.dataset.counter, 10);
+      const suffix = el.dataset.counterSuffix || '';
+
+      const obj = { value: 0 };
+
+      return trackReveal(gsap.to(obj, {
+        scrollTrigger: {
+          trigger: el,
+          start: 'top 80%'
+        },
+        value: target,
+        duration: 2,
+        ease: 'power2.out',
+        onUpdate: () => {
+          el.textContent = Math.round(obj.value) + suffix;
+        }
+      }));
+    }
   });
 }
 
 // ============================================
 // INITIALIZE ALL
 // ============================================
-export function initScrollAnimations() {
-  initHeroAnimations();
-  initScrollReveals();
-  initParallax();
-  initScrollProgress();
-  initNavScroll();
-  initCounters();
+export function initScrollAnimations(root = document) {
+  const controller = combineControllers([
+    initHeroAnimations(root),
+    initScrollReveals(root),
+    initParallax(root),
+    initScrollProgress(root),
+    initNavScroll(root),
+    initCounters(root)
+  ]);
+
+  return {
+    ...controller,
+
+    // New triggers change the page layout, so recalculate positions
+    refresh(scope = root) {
+      controller.refresh(scope);
+      ScrollTrigger.refresh();
+    }
+  };
 }
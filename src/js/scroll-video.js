@@ -0,0 +1,303 @@
+/* ============================================
+   SCROLL VIDEO SCRUBBER MODULE
+   Maps scroll position to video.currentTime
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { motion } from './motion.js';
+import { createController } from './lifecycle.js';
+import { ticker } from './ticker.js';
+
+gsap.registerPlugin(ScrollTrigger);
+
+// Seeking is expensive: skip corrections smaller than this (seconds)
+const SEEK_THRESHOLD = 0.01;
+
+export class ScrollVideoScrubber {
+  constructor(video, options = {}) {
+    this.video = video;
+    this.options = {
+      trigger: video.parentElement,  // Element whose scroll range drives the video
+      start: 'top top',              // ScrollTrigger start
+      end: 'bottom bottom',          // ScrollTrigger end
+      direction: 'forward',          // 'forward' | 'reverse'
+      smoothing: 0.15,               // Lerp factor per frame (1 = instant)
+      fallback: 'none',              // Mobile: 'none' | 'poster' | 'sequence'
+      mobileQuery: '(max-width: 640px)',
+      sequence: null,                // Frame URL pattern, e.g. 'frames/hero-{index}.jpg'
+      frames: 0,                     // Frame count for the sequence
+      pad: 0,                        // Zero-pad {index} to this many digits
+      linked: [],                    // Elements outside the trigger that also get --scrub-progress
+      ...options
+    };
+
+    this.trigger = this.options.trigger;
+    this.overlays = Array.from(this.trigger.querySelectorAll('[data-scroll-video-text]'))
+      .map((el) => ({ el, range: parseRange(el.dataset.scrollVideoText) }));
+
+    this.progress = 0;
+    this.currentTime = 0;
+    this.visible = false;
+    this.mode = 'video';
+    this.frameImage = null;
+    this.frameCache = new Map();
+
+    this.update = this.update.bind(this);
+    this.onMetadata = this.onMetadata.bind(this);
+    this.onMediaChange = () => this.setMode();
+
+    this.init();
+  }
+
+  init() {
+    this.video.pause();
+    this.video.addEventListener('loadedmetadata', this.onMetadata);
+
+    this.mediaQuery = window.matchMedia(this.options.mobileQuery);
+    this.mediaQuery.addEventListener('change', this.onMediaChange);
+    this.setMode();
+
+    this.scrollTrigger = ScrollTrigger.create({
+      trigger: this.trigger,
+      start: this.options.start,
+      end: this.options.end,
+      onUpdate: (self) => this.setProgress(self.progress)
+    });
+
+    // Pause work entirely while the scrub area is off-screen
+    this.observer = new IntersectionObserver(([entry]) => {
+      this.visible = entry.isIntersecting;
+
+      if (this.visible) {
+        this.onVisible();
+      } else {
+        this.video.pause();
+        ticker.sleep(this.update);
+      }
+    });
+    this.observer.observe(this.trigger);
+
+    this.setProgress(this.scrollTrigger.progress);
+  }
+
+  // Mobile fallbacks swap the scrubbed video for a poster or an image sequence
+  setMode() {
+    const isMobile = this.mediaQuery.matches;
+    const { fallback, sequence, frames } = this.options;
+
+    let mode = 'video';
+    if (isMobile && fallback === 'poster') mode = 'poster';
+    if (isMobile && fallback === 'sequence' && sequence && frames > 0) mode = 'sequence';
+
+    this.mode = mode;
+    this.video.hidden = mode === 'sequence';
+
+    if (mode === 'poster') {
+      this.video.preload = 'none';
+    }
+
+    if (mode === 'sequence') {
+      this.createFrameImage();
+    } else {
+      this.frameImage?.remove();
+      this.frameImage = null;
+    }
+
+    this.render();
+  }
+
+  onVisible() {
+    // Some mobile browsers ignore preload until the video is needed
+    if (this.mode === 'video' && this.video.readyState === 0) {
+      this.video.load();
+    }
+
+    if (this.mode === 'sequence') this.preloadFrames();
+
+    ticker.wake(this.update);
+  }
+
+  onMetadata() {
+    this.currentTime = this.targetTime();
+    this.video.currentTime = this.currentTime;
+    if (this.visible) ticker.wake(this.update);
+  }
+
+  setProgress(progress) {
+    this.progress = progress;
+    [this.trigger, ...this.options.linked].forEach((el) => {
+      el.style.setProperty('--scrub-progress', progress.toFixed(4));
+    });
+    this.updateOverlays();
+
+    if (this.visible) ticker.wake(this.update);
+  }
+
+  targetTime() {
+    const duration = this.video.duration || 0;
+    const progress = this.options.direction === 'reverse' ? 1 - this.progress : this.progress;
+    return progress * duration;
+  }
+
+  // Runs on the shared ticker; returns false once the video caught up
+  update() {
+    if (this.mode !== 'video') {
+      this.render();
+      return false;
+    }
+
+    // Nothing to seek yet; onMetadata wakes us again
+    if (!this.video.duration) return false;
+
+    const target = this.targetTime();
+    const smoothing = motion.reduced ? 1 : this.options.smoothing;
+    this.currentTime += (target - this.currentTime) * smoothing;
+
+    const settled = Math.abs(target - this.currentTime) < SEEK_THRESHOLD;
+    if (settled) this.currentTime = target;
+
+    this.render();
+    return !settled;
+  }
+
+  render() {
+    if (this.mode === 'video') {
+      if (this.video.duration && Math.abs(this.video.currentTime - this.currentTime) >= SEEK_THRESHOLD) {
+        this.video.currentTime = this.currentTime;
+      }
+      return;
+    }
+
+    if (this.mode === 'sequence' && this.frameImage) {
+      const progress = this.options.direction === 'reverse' ? 1 - this.progress : this.progress;
+      const index = Math.round(progress * (this.options.frames - 1)) + 1;
+      const src = this.frameUrl(index);
+
+      if (this.frameImage.getAttribute('src') !== src) {
+        this.frameImage.src = src;
+      }
+    }
+  }
+
+  // Text overlays: `is-active` inside their range, --scrub-local runs 0 -> 1 across it
+  updateOverlays() {
+    this.overlays.forEach(({ el, range }) => {
+      const [from, to] = range;
+      const local = to > from ? (this.progress - from) / (to - from) : 0;
+      const active = this.progress >= from && this.progress <= to;
+
+      el.style.setProperty('--scrub-local', Math.max(0, Math.min(1, local)).toFixed(4));
+      el.classList.toggle('is-active', active);
+    });
+  }
+
+  // ============================================
+  // IMAGE SEQUENCE FALLBACK
+  // ============================================
+  createFrameImage() {
+    if (this.frameImage) return;
+
+    this.frameImage = document.createElement('img');
+    this.frameImage.className = 'scroll-video__frame';
+    this.frameImage.alt = '';
+    this.frameImage.setAttribute('aria-hidden', 'true');
+
+    Object.assign(this.frameImage.style, {
+      position: 'absolute',
+      inset: '0',
+      width: '100%',
+      height: '100%',
+      objectFit: 'cover'
+    });
+
+    this.video.after(this.frameImage);
+  }
+
+  frameUrl(index) {
+    const value = String(index).padStart(this.options.pad, '0');
+    return this.options.sequence.replace('{index}', value);
+  }
+
+  preloadFrames() {
+    for (let i = 1; i <= this.options.frames; i++) {
+      const src = this.frameUrl(i);
+      if (this.frameCache.has(src)) continue;
+
+      const image = new Image();
+      image.decoding = 'async';
+      image.src = src;
+      this.frameCache.set(src, image);
+    }
+  }
+
+  destroy() {
+    ticker.sleep(this.update);
+    this.scrollTrigger.kill();
+    this.observer.disconnect();
+    this.mediaQuery.removeEventListener('change', this.onMediaChange);
+    this.video.removeEventListener('loadedmetadata', this.onMetadata);
+
+    this.frameImage?.remove();
+    this.frameImage = null;
+    this.frameCache.clear();
+    this.video.hidden = false;
+
+    [this.trigger, ...this.options.linked].forEach((el) => {
+      el.style.removeProperty('--scrub-progress');
+    });
+    this.overlays.forEach(({ el }) => {
+      el.style.removeProperty('--scrub-local');
+      el.classList.remove('is-active');
+    });
+  }
+}
+
+// "0.2,0.5" -> [0.2, 0.5]; a single number means "from there to the end"
+function parseRange(value = '') {
+  const [from = 0, to = 1] = value.split(',').map((n) => parseFloat(n));
+  return [Number.isFinite(from) ? from : 0, Number.isFinite(to) ? to : 1];
+}
+
+// ============================================
+// INITIALIZE FROM DATA ATTRIBUTES
+// ============================================
+// <video data-scroll-video
+//   data-scroll-video-trigger=".hero"       closest ancestor driving the scrub
+//   data-scroll-video-start="top top"       ScrollTrigger start / end
+//   data-scroll-video-end="bottom bottom"
+//   data-scroll-video-direction="reverse"
+//   data-scroll-video-smoothing="0.15"
+//   data-scroll-video-fallback="poster"     or "sequence" + -sequence / -frames / -pad
+//   data-scroll-video-mobile="(max-width: 640px)"
+//   data-scroll-video-linked=".hero__stats">  elsewhere on the page, also get --scrub-progress
+// Overlays inside the trigger: data-scroll-video-text="0.2,0.5"
+export function createScrollVideo(video) {
+  const data = video.dataset;
+  const trigger = data.scrollVideoTrigger
+    ? video.closest(data.scrollVideoTrigger)
+    : video.parentElement;
+
+  return new ScrollVideoScrubber(video, {
+    trigger: trigger || video.parentElement,
+    start: data.scrollVideoStart || 'top top',
+    end: data.scrollVideoEnd || 'bottom bottom',
+    direction: data.scrollVideoDirection || 'forward',
+    smoothing: parseFloat(data.scrollVideoSmoothing) || 0.15,
+    fallback: data.scrollVideoFallback || 'none',
+    mobileQuery: data.scrollVideoMobile || '(max-width: 640px)',
+    sequence: data.scrollVideoSequence || null,
+    frames: parseInt(data.scrollVideoFrames, 10) || 0,
+    pad: parseInt(data.scrollVideoPad, 10) || 0,
+    linked: data.scrollVideoLinked ? Array.from(document.querySelectorAll(data.scrollVideoLinked)) : []
+  });
+}
+
+export function initScrollVideo(root = document) {
+  return createController({
+    key: 'scroll-video',
+    selector: 'video[data-scroll-video]',
+    root,
+    create: createScrollVideo
+  });
+}
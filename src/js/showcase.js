@@ -0,0 +1,216 @@
+/* ============================================
+   SHOWCASE MODULE
+   Type / industry filter chips over the landing
+   page showcase, and hover-to-scroll previews
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { Flip } from 'gsap/Flip';
+import { motion } from './motion.js';
+import { createController } from './lifecycle.js';
+
+gsap.registerPlugin(Flip);
+
+// ============================================
+// SHOWCASE CONTROLLER
+// ============================================
+// Items carry data-type / data-industry slugs; chips carry
+// data-showcase-filter ("all", "type:agency", "industry:fine-dining")
+export class Showcase {
+  constructor(section, options = {}) {
+    this.section = section;
+    this.options = {
+      grid: '.showcase-grid',
+      item: '[data-showcase-item]',
+      filter: '[data-showcase-filter]',
+      mockup: '.browser-mockup',
+      image: '.browser-mockup__image',
+      activeClass: 'is-active',
+      duration: 0.6,
+      scrollSpeed: 160,             // px per second while hovering
+      minScroll: 40,                // shorter overflows keep the zoom instead
+      ...options
+    };
+
+    this.grid = section.querySelector(this.options.grid);
+    this.items = Array.from(section.querySelectorAll(this.options.item));
+    this.buttons = Array.from(section.querySelectorAll(this.options.filter));
+    this.mockups = Array.from(section.querySelectorAll(this.options.mockup));
+    this.filter = 'all';
+    this.flip = null;
+
+    this.onFilterClick = this.onFilterClick.bind(this);
+    this.onEnter = this.onEnter.bind(this);
+    this.onLeave = this.onLeave.bind(this);
+    this.onImageLoad = this.onImageLoad.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.buttons.forEach((button) => button.addEventListener('click', this.onFilterClick));
+    this.mockups.forEach((mockup) => {
+      mockup.addEventListener('mouseenter', this.onEnter);
+      mockup.addEventListener('mouseleave', this.onLeave);
+
+      // Screenshots rest on the top of the page, so measure once they load
+      const image = mockup.querySelector(this.options.image);
+      if (image?.complete) {
+        this.measure(mockup);
+      } else {
+        image?.addEventListener('load', this.onImageLoad);
+      }
+    });
+  }
+
+  // ============================================
+  // Filtering
+  // ============================================
+  onFilterClick(e) {
+    const filter = e.currentTarget.dataset.showcaseFilter;
+    if (filter === this.filter) return;
+
+    this.filter = filter;
+    this.apply();
+  }
+
+  matches(item) {
+    if (this.filter === 'all') return true;
+
+    const [key, value] = this.filter.split(':');
+    return item.dataset[key] === value;
+  }
+
+  apply() {
+    const state = !motion.reduced && this.grid ? Flip.getState(this.items) : null;
+
+    this.items.forEach((item) => {
+      item.hidden = !this.matches(item);
+    });
+
+    this.buttons.forEach((button) => {
+      const active = button.dataset.showcaseFilter === this.filter;
+      button.classList.toggle(this.options.activeClass, active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+
+    if (!state) return;
+
+    this.flip?.kill();
+    this.grid.classList.add('is-flipping');
+
+    const { duration } = this.options;
+    this.flip = Flip.from(state, {
+      duration,
+      ease: 'power3.inOut',
+      absolute: true,
+      onEnter: (elements) => gsap.fromTo(elements,
+        { opacity: 0, scale: 0.95 },
+        { opacity: 1, scale: 1, duration, ease: 'power3.out' }
+      ),
+      onLeave: (elements) => gsap.to(elements,
+        { opacity: 0, scale: 0.95, duration: duration * 0.6, ease: 'power3.in' }
+      ),
+      onComplete: () => this.grid.classList.remove('is-flipping')
+    });
+  }
+
+  // ============================================
+  // Hover to scroll
+  // ============================================
+  // How far a cover-fitted screenshot runs past the bottom of its frame
+  overflow(image) {
+    const frame = image.parentElement;
+    if (!image.naturalWidth || !frame) return 0;
+
+    const scale = Math.max(
+      frame.clientWidth / image.naturalWidth,
+      frame.clientHeight / image.naturalHeight
+    );
+    return image.naturalHeight * scale - frame.clientHeight;
+  }
+
+  // .is-scrollable swaps the hover zoom for the scroll; returns the distance
+  measure(mockup) {
+    const image = mockup.querySelector(this.options.image);
+    const distance = image ? this.overflow(image) : 0;
+    const scrollable = distance >= this.options.minScroll;
+
+    mockup.classList.toggle('is-scrollable', scrollable);
+    if (!scrollable && image) gsap.set(image, { clearProps: 'objectPosition' });
+
+    return scrollable ? distance : 0;
+  }
+
+  onImageLoad(e) {
+    this.measure(e.currentTarget.closest(this.options.mockup));
+  }
+
+  // Pan object-position from the top of the page to the bottom, at a steady
+  // speed so long screenshots take longer
+  onEnter(e) {
+    const mockup = e.currentTarget;
+    const image = mockup.querySelector(this.options.image);
+
+    // Measured again here: the frame changes size with the viewport
+    const distance = this.measure(mockup);
+    if (!distance || motion.reduced) return;
+
+    gsap.to(image, {
+      objectPosition: '50% 100%',
+      duration: distance / this.options.scrollSpeed,
+      ease: 'sine.inOut',
+      overwrite: true
+    });
+  }
+
+  onLeave(e) {
+    const mockup = e.currentTarget;
+    const image = mockup.querySelector(this.options.image);
+    if (!image || !mockup.classList.contains('is-scrollable')) return;
+
+    gsap.to(image, {
+      objectPosition: '50% 0%',
+      duration: 0.8,
+      ease: 'power3.out',
+      overwrite: true
+    });
+  }
+
+  destroy() {
+    this.flip?.kill();
+    this.grid?.classList.remove('is-flipping');
+
+    this.buttons.forEach((button) => button.removeEventListener('click', this.onFilterClick));
+    this.mockups.forEach((mockup) => {
+      mockup.removeEventListener('mouseenter', this.onEnter);
+      mockup.removeEventListener('mouseleave', this.onLeave);
+      mockup.classList.remove('is-scrollable');
+
+      const image = mockup.querySelector(this.options.image);
+      if (image) {
+        image.removeEventListener('load', this.onImageLoad);
+        gsap.killTweensOf(image);
+        gsap.set(image, { clearProps: 'objectPosition' });
+      }
+    });
+
+    // Everything visible again, as rendered
+    this.items.forEach((item) => {
+      item.hidden = false;
+      gsap.set(item, { clearProps: 'opacity,scale,transform' });
+    });
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initShowcase({ root = document, selector = '[data-showcase]', ...options } = {}) {
+  return createController({
+    key: 'showcase',
+    selector,
+    root,
+    create: (section) => new Showcase(section, options)
+  });
+}
@@ -0,0 +1,399 @@
+/* ============================================
+   SMOOTH SCROLL MODULE
+   Inertial wheel scrolling on the native
+   scrollbar, kept in step with ScrollTrigger
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { motion } from './motion.js';
+import { ticker } from './ticker.js';
+
+gsap.registerPlugin(ScrollTrigger);
+
+// Wheel deltas arrive in pixels, lines or pages (deltaMode 0 / 1 / 2)
+const LINE_HEIGHT = 16;
+
+// Settled once within this many pixels of the target
+const REST_THRESHOLD = 0.5;
+
+// Quick start, long soft landing
+const easeOutExpo = (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// ============================================
+// SMOOTH SCROLL ENGINE
+// ============================================
+// The page keeps its native scrollbar: wheel input moves a target and every
+// frame eases the real scroll position towards it. Touch and keyboard
+// scrolling stay native; the engine only follows them.
+export class SmoothScroll {
+  constructor() {
+    this.options = {
+      lerp: 0.1,              // Share of the distance covered per 60fps frame
+      wheelMultiplier: 1,
+      duration: 1.2,          // scrollTo() default, seconds
+      easing: easeOutExpo,    // scrollTo() default, a function or GSAP ease name
+      nav: '.nav'             // Fixed / sticky header that scrollTo() clears
+    };
+
+    this.enabled = false;
+    this.current = 0;         // Position written to the page
+    this.target = 0;          // Where the wheel wants to go
+    this.animating = false;
+    this.tween = null;        // A running scrollTo()
+    this.stopReasons = new Set();
+    this.proxied = false;
+
+    this.onWheel = this.onWheel.bind(this);
+    this.onScroll = this.onScroll.bind(this);
+    this.update = this.update.bind(this);
+  }
+
+  // Reduced motion keeps the engine listening but scrolls natively
+  get smooth() {
+    return this.enabled && !motion.reduced;
+  }
+
+  get stopped() {
+    return this.stopReasons.size > 0;
+  }
+
+  get limit() {
+    return Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+  }
+
+  enable(options = {}) {
+    this.options = { ...this.options, ...options };
+    if (this.enabled) return;
+    this.enabled = true;
+
+    this.sync();
+    this.proxy();
+
+    // CSS smooth scrolling would ease every position we write
+    document.documentElement.style.scrollBehavior = 'auto';
+
+    window.addEventListener('wheel', this.onWheel, { passive: false });
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+  }
+
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+
+    this.halt();
+    this.stopReasons.clear();
+    document.documentElement.style.scrollBehavior = '';
+
+    window.removeEventListener('wheel', this.onWheel);
+    window.removeEventListener('scroll', this.onScroll);
+  }
+
+  // ScrollTrigger reads the position through the engine, so triggers follow
+  // the eased value in the same frame, and its own scroll writes (snapping,
+  // refresh restores) land on the engine's target. Registered once; while
+  // disabled it passes straight through to the window.
+  proxy() {
+    if (this.proxied) return;
+    this.proxied = true;
+
+    const engine = this;
+    ScrollTrigger.scrollerProxy(document.documentElement, {
+      scrollTop(value) {
+        // A refresh writes back the position it read; leave a running ease alone
+        if (arguments.length && (!engine.animating || Math.abs(value - engine.current) > 1)) {
+          engine.jump(value);
+        }
+        return engine.enabled ? engine.current : window.scrollY;
+      },
+      getBoundingClientRect() {
+        return { top: 0, left: 0, width: window.innerWidth, height: window.innerHeight };
+      }
+    });
+  }
+
+  // ============================================
+  // INPUT
+  // ============================================
+  onWheel(e) {
+    // Pinch zoom and sideways scrolling are the browser's
+    if (e.ctrlKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) return;
+
+    // Panels with their own scrollbar (drawers, modals) scroll natively
+    if (this.scrollsInside(e)) return;
+
+    // Stopped: the page underneath an open modal stays put
+    if (this.stopped) {
+      e.preventDefault();
+      return;
+    }
+
+    if (!this.smooth) return;
+    e.preventDefault();
+
+    const unit = e.deltaMode === 1 ? LINE_HEIGHT : e.deltaMode === 2 ? window.innerHeight : 1;
+
+    // The wheel takes over from a running scrollTo()
+    this.finishTween(false);
+    if (!this.animating) this.sync();
+
+    this.target = clamp(this.target + e.deltaY * unit * this.options.wheelMultiplier, 0, this.limit);
+    this.run();
+  }
+
+  // Would an element between the pointer and the page scroll this wheel?
+  scrollsInside(e) {
+    const down = e.deltaY > 0;
+
+    for (const el of e.composedPath()) {
+      if (el === document.body || el === document.documentElement || !(el instanceof Element)) break;
+      if (el.hasAttribute('data-scroll-native')) return true;
+
+      const { overflowY } = getComputedStyle(el);
+      if (overflowY !== 'auto' && overflowY !== 'scroll') continue;
+
+      const room = down
+        ? el.scrollHeight - el.clientHeight - el.scrollTop
+        : el.scrollTop;
+      if (room > 0) return true;
+    }
+
+    return false;
+  }
+
+  // Touch, keyboard and scrollbar drags move the page natively; follow them
+  onScroll() {
+    if (!this.animating) this.sync();
+  }
+
+  sync() {
+    this.current = this.target = window.scrollY;
+  }
+
+  // ============================================
+  // FRAME LOOP
+  // ============================================
+  run() {
+    this.animating = true;
+    ticker.wake(this.update);
+  }
+
+  // Runs on the shared ticker; returns false once settled
+  update() {
+    if (this.tween) {
+      const { from, to, startTime, duration, easing } = this.tween;
+      const progress = duration > 0
+        ? Math.min(1, (performance.now() - startTime) / (duration * 1000))
+        : 1;
+
+      this.current = from + (to - from) * easing(progress);
+      if (progress === 1) this.finishTween(true);
+    } else {
+      // Same feel at any frame rate
+      const factor = 1 - Math.pow(1 - this.options.lerp, gsap.ticker.deltaRatio(60));
+      this.current += (this.target - this.current) * factor;
+      if (Math.abs(this.target - this.current) < REST_THRESHOLD) this.current = this.target;
+    }
+
+    window.scrollTo(0, this.current);
+    ScrollTrigger.update();
+
+    this.animating = Boolean(this.tween) || this.current !== this.target;
+    return this.animating;
+  }
+
+  // Drop any motion and stay where the page is now
+  halt() {
+    this.finishTween(false);
+    ticker.sleep(this.update);
+    this.animating = false;
+    this.sync();
+  }
+
+  finishTween(completed) {
+    const tween = this.tween;
+    if (!tween) return;
+
+    this.tween = null;
+    if (completed) this.target = tween.to;
+    tween.resolve(completed);
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+  // Page position for a target: a number, '#id', a selector or an element.
+  // Elements land below a fixed / sticky nav. Null if nothing matches.
+  offsetOf(target, offset = 0) {
+    let y = null;
+
+    if (typeof target === 'number') {
+      y = target;
+    } else {
+      const el = this.resolveElement(target);
+
+      if (el) {
+        y = el.getBoundingClientRect().top + window.scrollY - this.navHeight();
+      } else if (target === '#' || target === '#top') {
+        y = 0;
+      }
+    }
+
+    return y === null ? null : clamp(y + offset, 0, this.limit);
+  }
+
+  resolveElement(target) {
+    if (target instanceof Element) return target;
+    if (typeof target !== 'string' || target === '#') return null;
+
+    if (target.startsWith('#')) {
+      try {
+        return document.getElementById(decodeURIComponent(target.slice(1)));
+      } catch {
+        return null;
+      }
+    }
+
+    try {
+      return document.querySelector(target);
+    } catch {
+      return null;
+    }
+  }
+
+  navHeight() {
+    const nav = this.options.nav && document.querySelector(this.options.nav);
+    if (!nav) return 0;
+
+    const { position } = getComputedStyle(nav);
+    return position === 'fixed' || position === 'sticky' ? nav.offsetHeight : 0;
+  }
+
+  // Ease to a target; resolves true on arrival, false if interrupted (wheel,
+  // stop(), another scrollTo) or if the target does not exist
+  scrollTo(target, { offset = 0, duration = this.options.duration, easing = this.options.easing, immediate = false } = {}) {
+    const y = this.offsetOf(target, offset);
+    if (y === null) return Promise.resolve(false);
+
+    if (immediate || motion.reduced) {
+      this.jump(y);
+      return Promise.resolve(true);
+    }
+
+    this.finishTween(false);
+    if (!this.animating) this.sync();
+
+    return new Promise((resolve) => {
+      this.tween = {
+        from: this.current,
+        to: y,
+        startTime: performance.now(),
+        duration,
+        easing: typeof easing === 'string' ? gsap.parseEase(easing) : easing,
+        resolve
+      };
+      this.target = y;
+      this.run();
+    });
+  }
+
+  // Straight to a position, no easing
+  jump(y) {
+    this.finishTween(false);
+    ticker.sleep(this.update);
+    this.animating = false;
+
+    this.current = this.target = clamp(y, 0, this.limit);
+    window.scrollTo(0, this.current);
+  }
+
+  // Freeze wheel scrolling while something sits on top of the page (a
+  // modal, the mobile menu). Each reason is released by start(reason).
+  stop(reason = 'default') {
+    this.stopReasons.add(reason);
+    if (this.animating) this.halt();
+  }
+
+  start(reason = 'default') {
+    this.stopReasons.delete(reason);
+  }
+}
+
+// Shared instance: there is one page scrollbar
+export const smoothScroll = new SmoothScroll();
+
+// ============================================
+// INITIALIZE
+// ============================================
+// Options: lerp, wheelMultiplier, duration, easing, nav (see SmoothScroll).
+// Same-page anchors ease to their target below the nav, and a hash in the
+// URL is honored once the page has finished loading.
+let hashHandled = false;
+
+export function initSmoothScroll(options = {}) {
+  smoothScroll.enable(options);
+
+  // Delegated, so new content just works
+  function onClick(e) {
+    if (e.defaultPrevented || e.button !== 0) return;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const anchor = e.target.closest('a[href*="#"]');
+    if (!anchor || (anchor.target && anchor.target !== '_self')) return;
+
+    const url = new URL(anchor.href, location.href);
+    if (url.origin !== location.origin || url.pathname !== location.pathname || url.search !== location.search) return;
+
+    // href="#" is usually a script's button
+    if (!url.hash || url.hash === '#') return;
+    if (smoothScroll.offsetOf(url.hash) === null) return;
+
+    e.preventDefault();
+    smoothScroll.scrollTo(url.hash);
+
+    if (url.hash !== location.hash) history.pushState(history.state, '', url.hash);
+  }
+
+  // Back / forward between anchors, or a hash typed into the address bar
+  function onHashChange() {
+    smoothScroll.scrollTo(location.hash);
+  }
+
+  // The browser jumped before fonts, images and rendered sections settled,
+  // and without clearing the nav; land on the target again. Once per
+  // document: router navigations restore their own position.
+  let frame = null;
+
+  function onLoad() {
+    frame = requestAnimationFrame(() => {
+      if (location.hash) smoothScroll.scrollTo(location.hash, { immediate: true });
+    });
+  }
+
+  if (!hashHandled) {
+    hashHandled = true;
+
+    if (document.readyState === 'complete') {
+      onLoad();
+    } else {
+      window.addEventListener('load', onLoad, { once: true });
+    }
+  }
+
+  document.addEventListener('click', onClick);
+  window.addEventListener('hashchange', onHashChange);
+
+  return {
+    smoothScroll,
+    refresh() {},
+    destroy() {
+      document.removeEventListener('click', onClick);
+      window.removeEventListener('hashchange', onHashChange);
+      window.removeEventListener('load', onLoad);
+      cancelAnimationFrame(frame);
+      smoothScroll.disable();
+    }
+  };
+}
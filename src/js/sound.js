@@ -0,0 +1,293 @@
+/* ============================================
+   SOUND DESIGN MODULE
+   Synthesized UI cues (Web Audio, no files)
+   with a persisted global mute
+   ============================================ */
+
+import { motion } from './motion.js';
+import { queryAll } from './lifecycle.js';
+
+const STORAGE_KEY = 'lumina:sound';
+
+// Browsers only let audio start from a user gesture
+const GESTURES = ['pointerdown', 'keydown', 'touchstart'];
+
+// Envelopes never reach zero: exponential ramps need a positive target
+const SILENCE = 0.0001;
+
+// ============================================
+// SOUND REGISTRY
+// ============================================
+// Cues for sound.play(name). Each has:
+//   throttle - minimum seconds between two plays (stops hover storms)
+//   play     - ({ context, output, time, noise }) => schedules the nodes
+const sounds = new Map();
+
+export function registerSound(name, { throttle = 0.03, play }) {
+  sounds.set(name, { throttle, play });
+}
+
+// A pitch sweep with a quick attack and an exponential tail
+function tone({ context, output, time }, { type = 'sine', from, to = from, duration, gain }) {
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, time);
+  oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+
+  envelope.gain.setValueAtTime(SILENCE, time);
+  envelope.gain.linearRampToValueAtTime(gain, time + 0.005);
+  envelope.gain.exponentialRampToValueAtTime(SILENCE, time + duration);
+
+  oscillator.connect(envelope).connect(output);
+  oscillator.start(time);
+  oscillator.stop(time + duration + 0.02);
+}
+
+// Hover: a short, bright tick
+registerSound('tick', {
+  throttle: 0.04,
+  play: (audio) => tone(audio, { type: 'triangle', from: 1800, to: 1200, duration: 0.03, gain: 0.04 })
+});
+
+// Press: a rounded pop that drops in pitch
+registerSound('pop', {
+  play: (audio) => tone(audio, { from: 420, to: 160, duration: 0.09, gain: 0.1 })
+});
+
+// Magnetic pull and release: soft rising / falling glides
+registerSound('attract', {
+  throttle: 0.08,
+  play: (audio) => tone(audio, { from: 320, to: 480, duration: 0.09, gain: 0.035 })
+});
+
+registerSound('release', {
+  throttle: 0.08,
+  play: (audio) => tone(audio, { from: 480, to: 300, duration: 0.09, gain: 0.025 })
+});
+
+// Reveal: filtered noise swept upwards
+registerSound('whoosh', {
+  throttle: 0.15,
+  play: ({ context, output, time, noise }) => {
+    const duration = 0.35;
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const envelope = context.createGain();
+
+    source.buffer = noise;
+    filter.type = 'bandpass';
+    filter.Q.value = 1.2;
+    filter.frequency.setValueAtTime(400, time);
+    filter.frequency.exponentialRampToValueAtTime(2400, time + duration);
+
+    envelope.gain.setValueAtTime(SILENCE, time);
+    envelope.gain.linearRampToValueAtTime(0.05, time + duration * 0.4);
+    envelope.gain.exponentialRampToValueAtTime(SILENCE, time + duration);
+
+    source.connect(filter).connect(envelope).connect(output);
+    source.start(time);
+    source.stop(time + duration);
+  }
+});
+
+// ============================================
+// SOUND ENGINE
+// ============================================
+export class SoundEngine {
+  constructor() {
+    this.muted = this.readMuted();     // true/false = saved choice, null = page default
+    this.defaultMuted = false;
+    this.enabled = false;              // A page opted in through initSound()
+    this.volume = 0.6;
+
+    this.context = null;
+    this.output = null;
+    this.noise = null;
+    this.lastPlayed = new Map();       // Cue name -> context time
+    this.listeners = new Set();
+
+    this.dataQuery = window.matchMedia('(prefers-reduced-data: reduce)');
+    this.unlock = this.unlock.bind(this);
+    this.notify = this.notify.bind(this);
+
+    // Preferences that silence sound can change while the page is open
+    this.dataQuery.addEventListener?.('change', this.notify);
+    navigator.connection?.addEventListener?.('change', this.notify);
+    motion.subscribe(this.notify);
+  }
+
+  get isMuted() {
+    return this.muted ?? this.defaultMuted;
+  }
+
+  // Reduced motion and data saver silence sound whatever the mute says
+  get blocked() {
+    return motion.reduced || this.dataQuery.matches || Boolean(navigator.connection?.saveData);
+  }
+
+  get audible() {
+    return this.enabled && !this.isMuted && !this.blocked;
+  }
+
+  // Start listening for the first gesture; nothing sounds before it
+  enable({ volume = this.volume, muted = false } = {}) {
+    this.volume = volume;
+    this.defaultMuted = muted;
+    if (this.output) this.output.gain.value = volume;
+
+    if (!this.enabled) {
+      this.enabled = true;
+      // Capture, so the gesture that unlocks audio can already make a sound
+      if (!this.context) GESTURES.forEach((type) => window.addEventListener(type, this.unlock, true));
+    }
+
+    this.notify();
+  }
+
+  // The context survives: a later page can sound without another gesture
+  disable() {
+    this.enabled = false;
+    GESTURES.forEach((type) => window.removeEventListener(type, this.unlock, true));
+    this.notify();
+  }
+
+  unlock() {
+    GESTURES.forEach((type) => window.removeEventListener(type, this.unlock, true));
+    if (this.context) return;
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    this.context = new AudioContext();
+    this.output = this.context.createGain();
+    this.output.gain.value = this.volume;
+    this.output.connect(this.context.destination);
+
+    // One second of white noise, swept through a filter for the whooshes
+    const { sampleRate } = this.context;
+    this.noise = this.context.createBuffer(1, sampleRate, sampleRate);
+    const samples = this.noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+    this.context.resume?.();
+  }
+
+  play(name) {
+    if (!this.audible || !this.context || document.hidden) return;
+
+    const sound = sounds.get(name);
+    if (!sound) return;
+
+    // Suspended by the browser (e.g. iOS after a tab switch): wake it up
+    if (this.context.state === 'suspended') this.context.resume();
+
+    const time = this.context.currentTime;
+    if (time - (this.lastPlayed.get(name) ?? -Infinity) < sound.throttle) return;
+    this.lastPlayed.set(name, time);
+
+    sound.play({ context: this.context, output: this.output, time, noise: this.noise });
+  }
+
+  // Mute on/off, or pass null to fall back to the page default
+  set(muted) {
+    this.muted = muted === null ? null : Boolean(muted);
+    this.writeMuted();
+    this.notify();
+  }
+
+  toggle() {
+    this.set(!this.isMuted);
+  }
+
+  // Subscribe to mute / availability changes; returns an unsubscribe function
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach((callback) => callback(this.audible));
+  }
+
+  readMuted() {
+    try {
+      const value = localStorage.getItem(STORAGE_KEY);
+      return value === null ? null : value === 'off';
+    } catch {
+      return null;
+    }
+  }
+
+  writeMuted() {
+    try {
+      if (this.muted === null) {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        localStorage.setItem(STORAGE_KEY, this.muted ? 'off' : 'on');
+      }
+    } catch {
+      // Storage unavailable (private mode) - keep the in-memory choice
+    }
+  }
+}
+
+// Shared instance: interaction modules call sound.play(); it stays
+// silent on pages that never called initSound()
+export const sound = new SoundEngine();
+
+// ============================================
+// MUTE TOGGLE
+// ============================================
+function createToggle() {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'sound-toggle';
+  button.setAttribute('data-sound-toggle', '');
+  button.innerHTML = `<span class="sound-toggle__bars" aria-hidden="true"><i></i><i></i><i></i></span>
+<span class="sound-toggle__label">Sound</span>`;
+
+  document.body.appendChild(button);
+  return button;
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+// [data-sound-toggle] buttons anywhere on the page mute / unmute;
+// `toggle` adds a floating one
+export function initSound({ toggle = false, volume, muted } = {}) {
+  sound.enable({ volume, muted });
+
+  const button = toggle ? createToggle() : null;
+
+  function sync(scope = document) {
+    const { blocked } = sound;
+
+    queryAll(scope, '[data-sound-toggle]').forEach((el) => {
+      el.setAttribute('aria-pressed', String(!sound.isMuted && !blocked));
+      el.disabled = blocked;
+      el.title = blocked ? 'Sound is off with reduced motion or data saver' : '';
+    });
+  }
+
+  function onClick(e) {
+    if (e.target.closest('[data-sound-toggle]')) sound.toggle();
+  }
+
+  document.addEventListener('click', onClick);
+  const unsubscribe = sound.subscribe(() => sync());
+  sync();
+
+  return {
+    sound,
+    refresh: (scope) => sync(scope),
+    destroy() {
+      document.removeEventListener('click', onClick);
+      unsubscribe();
+      button?.remove();
+      sound.disable();
+    }
+  };
+}
@@ -0,0 +1,289 @@
+/* ============================================
+   SPLIT TEXT
+   Wraps an element's lines, words and characters
+   in spans for animation, keeping inline markup;
+   revert() puts the original DOM back
+   ============================================ */
+
+// Element -> its live split, so splitting again starts from the original
+const splits = new WeakMap();
+
+// Inline children that hold no splittable text
+const ATOMIC = 'br, img, svg, video, canvas, iframe, input, select, textarea, button, script, style';
+
+// Interactive descendants keep their accessible text (see labelled below)
+const INTERACTIVE = 'a[href], button, input, select, textarea, [tabindex]';
+
+// HTML whitespace only, so &nbsp; still joins words
+const WHITESPACE = /([ \t\n\r\f]+)/;
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// "👩‍👩‍👧" and "é" (e + combining accent) stay single characters
+export function graphemes(text) {
+  return segmenter
+    ? Array.from(segmenter.segment(text), ({ segment }) => segment)
+    : Array.from(text);
+}
+
+// 'chars,words' | ['lines', 'chars'] -> Set
+function parseTypes(types) {
+  const list = Array.isArray(types) ? types : String(types).split(/[\s,]+/);
+  return new Set(list.filter(Boolean));
+}
+
+function createSpan(className, indexName, index) {
+  const span = document.createElement('span');
+  span.className = className;
+  span.style.display = className === 'line' ? 'block' : 'inline-block';
+  span.style.setProperty(`--${indexName}-index`, index);
+  return span;
+}
+
+// ============================================
+// SPLIT TEXT
+// ============================================
+// types: any of 'chars', 'words', 'lines'. Words are always wrapped - chars
+// need them to wrap as a unit and lines are measured from them.
+export class SplitText {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      types: 'chars',
+      resize: true,             // Re-split lines when the element's width changes
+      onSplit: null,            // Called with this split after lines are (re)built
+      ...(typeof options === 'string' ? { types: options } : options)
+    };
+    this.types = parseTypes(this.options.types);
+
+    // Never nest spans: undo an earlier split first
+    splits.get(element)?.revert();
+
+    // The same nodes go back on revert, so listeners on inner links survive
+    this.original = {
+      structure: this.snapshot(),
+      label: element.getAttribute('aria-label')
+    };
+    this.chars = [];
+    this.words = [];
+    this.lines = [];
+    this.structure = [];
+    this.observer = null;
+    this.frame = null;
+    this.width = 0;
+
+    this.split();
+    splits.set(element, this);
+  }
+
+  split() {
+    const { element } = this;
+
+    // The element reads as one label and the fragments are hidden - unless
+    // it holds links or controls, which must keep their own text
+    this.labelled = !element.querySelector(INTERACTIVE);
+    if (this.labelled) {
+      element.setAttribute('aria-label', element.textContent.replace(/\s+/g, ' ').trim());
+    }
+
+    this.splitNode(element);
+
+    if (this.types.has('lines')) {
+      this.structure = this.snapshot();
+      this.splitLines();
+      this.observe();
+    }
+  }
+
+  // Text nodes become word (and char) spans in place; inline elements such
+  // as <em> or <a> stay where they are with their text split inside them
+  splitNode(node) {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        child.replaceWith(this.splitTextNode(child.data));
+      } else if (child.nodeType === Node.ELEMENT_NODE && !child.matches(ATOMIC)) {
+        this.splitNode(child);
+      }
+    });
+  }
+
+  splitTextNode(text) {
+    const fragment = document.createDocumentFragment();
+
+    text.split(WHITESPACE).forEach((token) => {
+      if (!token) return;
+
+      if (WHITESPACE.test(token)) {
+        fragment.appendChild(document.createTextNode(token));
+        return;
+      }
+
+      const word = createSpan('word', 'word', this.words.length);
+      if (this.labelled) word.setAttribute('aria-hidden', 'true');
+
+      if (this.types.has('chars')) {
+        graphemes(token).forEach((grapheme) => {
+          const char = createSpan('char', 'char', this.chars.length);
+          char.textContent = grapheme;
+          word.appendChild(char);
+          this.chars.push(char);
+        });
+      } else {
+        word.textContent = token;
+      }
+
+      this.words.push(word);
+      fragment.appendChild(word);
+    });
+
+    return fragment;
+  }
+
+  // ============================================
+  // Lines
+  // ============================================
+  // Word spans, whitespace and atomic elements in document order
+  leaves() {
+    const leaves = [];
+
+    const walk = (node) => {
+      Array.from(node.childNodes).forEach((child) => {
+        const descend = child.nodeType === Node.ELEMENT_NODE
+          && !child.classList.contains('word')
+          && !child.matches(ATOMIC);
+
+        if (descend) {
+          walk(child);
+        } else {
+          leaves.push(child);
+        }
+      });
+    };
+
+    walk(this.element);
+    return leaves;
+  }
+
+  // Children of every container, so lines can be unwound before a re-split
+  snapshot() {
+    const containers = [this.element, ...this.element.querySelectorAll('*')]
+      .filter((el) => !el.classList.contains('word') && !el.classList.contains('char') && !el.matches(ATOMIC));
+
+    return containers.map((el) => [el, Array.from(el.childNodes)]);
+  }
+
+  // Words starting lower than the previous one open a new line. Inline
+  // elements crossing a line break are cloned so each line is well formed.
+  splitLines() {
+    const groups = [];
+    let top = null;
+
+    this.leaves().forEach((leaf) => {
+      if (leaf.nodeName === 'BR') return;         // Lines replace the breaks
+
+      if (leaf.classList?.contains('word')) {
+        const rect = leaf.getBoundingClientRect();
+        if (top === null || rect.top - top > rect.height / 2) groups.push([]);
+        top = rect.top;
+      }
+
+      if (!groups.length) groups.push([]);
+      groups[groups.length - 1].push(leaf);
+    });
+
+    const seenIds = new Set();
+    const lines = groups.map((group, index) => {
+      const line = createSpan('line', 'line', index);
+      let stack = [];                             // [{ source, clone }]
+
+      group.forEach((leaf) => {
+        const chain = [];
+        for (let node = leaf.parentNode; node && node !== this.element; node = node.parentNode) {
+          chain.unshift(node);
+        }
+
+        // Reuse the clones this line already has for shared ancestors
+        let depth = 0;
+        while (depth < stack.length && depth < chain.length && stack[depth].source === chain[depth]) depth++;
+        stack = stack.slice(0, depth);
+
+        chain.slice(depth).forEach((source) => {
+          const clone = source.cloneNode(false);
+          if (clone.id && seenIds.has(clone.id)) clone.removeAttribute('id');
+          if (clone.id) seenIds.add(clone.id);
+
+          (stack[stack.length - 1]?.clone || line).appendChild(clone);
+          stack.push({ source, clone });
+        });
+
+        (stack[stack.length - 1]?.clone || line).appendChild(leaf);
+      });
+
+      return line;
+    });
+
+    this.lines = lines;
+    this.element.replaceChildren(...lines);
+    this.width = this.element.offsetWidth;
+    this.options.onSplit?.(this);
+  }
+
+  // Back to words in their original inline elements, then measure again
+  resplitLines() {
+    this.structure.forEach(([el, children]) => el.replaceChildren(...children));
+    this.splitLines();
+  }
+
+  observe() {
+    if (!this.options.resize) return;
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.observer = new ResizeObserver(() => {
+        cancelAnimationFrame(this.frame);
+        this.frame = requestAnimationFrame(() => {
+          if (this.element.offsetWidth !== this.width) this.resplitLines();
+        });
+      });
+      this.observer.observe(this.element);
+    }
+
+    // Web fonts still loading will move the line breaks
+    if (document.fonts && document.fonts.status !== 'loaded') {
+      document.fonts.ready.then(() => {
+        if (splits.get(this.element) === this) this.resplitLines();
+      });
+    }
+  }
+
+  // Original markup and label back; the spans are gone
+  revert() {
+    this.observer?.disconnect();
+    this.observer = null;
+    cancelAnimationFrame(this.frame);
+
+    this.original.structure.forEach(([el, children]) => el.replaceChildren(...children));
+    if (this.original.label === null) {
+      this.element.removeAttribute('aria-label');
+    } else {
+      this.element.setAttribute('aria-label', this.original.label);
+    }
+
+    this.chars = [];
+    this.words = [];
+    this.lines = [];
+    this.structure = [];
+    if (splits.get(this.element) === this) splits.delete(this.element);
+  }
+}
+
+// splitText(el, 'chars') or splitText(el, { types: 'words,lines', onSplit })
+export function splitText(element, options) {
+  return new SplitText(element, options);
+}
+
+// Undo whatever split is live on the element
+export function revertSplit(element) {
+  splits.get(element)?.revert();
+}
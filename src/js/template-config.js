@@ -0,0 +1,23 @@
+/* ============================================
+   TEMPLATE CONFIG
+   Read apart from the template runtime, so a
+   page can check for a config before importing it
+   ============================================ */
+
+import { queryAll } from './lifecycle.js';
+
+const CONFIG_SELECTOR = 'script[data-lumina-template]';
+
+// Read from <script type="application/json" data-lumina-template> so the
+// config travels with the page markup through router transitions
+export function readTemplateConfig(root = document) {
+  const script = queryAll(root, CONFIG_SELECTOR)[0];
+  if (!script) return null;
+
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    console.warn('Lumina: invalid template config', error);
+    return null;
+  }
+}
@@ -0,0 +1,175 @@
+/* ============================================
+   TEMPLATE RUNTIME
+   Lets each demo opt into the shared modules
+   through a per-page config
+   ============================================ */
+
+import { initLazy } from './lazy.js';
+import { combineControllers, createCleanupController, createDeferredController, queryAll } from './lifecycle.js';
+import { readTemplateConfig } from './template-config.js';
+
+export { readTemplateConfig };
+
+// Feature modules, each imported only when the page's config turns it on
+const LOADERS = {
+  theme: () => import('./theme.js'),
+  cursor: () => import('./cursor.js'),
+  smoothScroll: () => import('./smooth-scroll.js'),
+  sound: () => import('./sound.js'),
+  reveals: () => import('./scroll-animations.js'),
+  navScroll: () => import('./scroll-animations.js'),
+  mobileNav: () => import('./mobile-nav.js'),
+  cart: () => import('./cart.js'),
+  listing: () => import('./listing.js'),
+  booking: () => import('./booking.js'),
+  reservations: () => import('./reservations.js'),
+  forms: () => import('./forms.js'),
+  tour: () => import('./tour.js'),
+  mortgage: () => import('./mortgage.js')
+};
+
+// Everything is opt-in
+const DEFAULTS = {
+  theme: false,         // A token set name, or { tokens, brand, switcher } (src/js/theme-tokens.js)
+  cursor: false,        // Needs src/css/cursor.css on the page
+  smoothScroll: false,  // true or { lerp, wheelMultiplier, duration, easing, nav }
+  sound: false,         // true or { toggle, volume, muted } (link src/css/sound.css for the toggle)
+  magnetic: false,
+  tilt: false,
+  reveals: false,       // [data-animate] presets
+  navScroll: false,     // true or { selector, className, offset } for a header that changes once scrolled
+  kinetic: false,
+  scrollVideo: false,
+  mobileNav: false,     // true or { breakpoint, toggle, menu, links }
+  cart: false,          // true or { storageKey, currency, openOnAdd, selectors }
+  listing: false,       // true or { grid, card, filter, sort, filterParam, storageKey, ... }
+  booking: false,       // true or { adapter, adapterOptions, availability, currency, ... }
+  reservations: false,  // true or { adapter, availability, venue, location, trigger }
+  forms: false,         // true or { adapter, endpoint, successMessage } defaults for form[data-lumina-form]
+  tour: false,          // true or { source, trigger } for a [data-tour] viewer
+  mortgage: false,      // true or { tiers, card, cardPrice } for form[data-mortgage]
+  year: false           // true or a selector (default #current-year)
+};
+
+// ============================================
+// YEAR STAMP
+// ============================================
+export function initYearStamp(root = document, selector = '#current-year') {
+  queryAll(root, selector).forEach((el) => {
+    el.textContent = new Date().getFullYear();
+  });
+
+  return createCleanupController(() => {});
+}
+
+function cursorController(cursor, root) {
+  cursor.init();
+  cursor.refresh(root);
+
+  return {
+    refresh: (scope) => cursor.refresh(scope),
+    destroy: () => cursor.destroy()
+  };
+}
+
+// ============================================
+// INITIALIZE TEMPLATE
+// ============================================
+// Returns a { destroy, refresh } controller straight away; the modules mount
+// once their imports arrive (`ready` resolves then)
+export function initTemplate(config = readTemplateConfig(), root = document) {
+  const options = { ...DEFAULTS, ...config };
+  return createDeferredController(mountTemplate(options, root));
+}
+
+// All imports start together, then the modules mount in order
+async function loadModules(options) {
+  const names = Object.keys(LOADERS).filter((name) => options[name]);
+  const modules = await Promise.all(names.map((name) => LOADERS[name]()));
+  return Object.assign({}, ...modules);
+}
+
+async function mountTemplate(options, root) {
+  const {
+    initTheme, cursor, initSmoothScroll, initSound, initScrollReveals, initNavScroll, initMobileNav,
+    initCart, initListing, initBooking, initReservations, initForms, initTours, initMortgage
+  } = await loadModules(options);
+
+  const controllers = [];
+
+  // First, so modules that read colors see the page's theme
+  if (options.theme) {
+    const themeOptions = typeof options.theme === 'string' ? { tokens: options.theme } : options.theme;
+    controllers.push(initTheme(themeOptions));
+  }
+
+  if (options.cursor) controllers.push(cursorController(cursor, root));
+
+  if (options.smoothScroll) {
+    const scrollOptions = options.smoothScroll === true ? {} : options.smoothScroll;
+    controllers.push(initSmoothScroll(scrollOptions));
+  }
+
+  if (options.sound) {
+    const soundOptions = options.sound === true ? {} : options.sound;
+    controllers.push(initSound(soundOptions));
+  }
+
+  if (options.reveals) controllers.push(initScrollReveals(root));
+
+  if (options.navScroll) {
+    const navScrollOptions = options.navScroll === true ? {} : options.navScroll;
+    controllers.push(initNavScroll(root, navScrollOptions));
+  }
+
+  // Imported once their elements near the viewport (src/js/lazy.js)
+  const lazy = ['magnetic', 'tilt', 'kinetic', 'scrollVideo'].filter((name) => options[name]);
+  if (lazy.length) controllers.push(initLazy(root, { modules: lazy }));
+
+  if (options.mobileNav) {
+    const navOptions = options.mobileNav === true ? {} : options.mobileNav;
+    controllers.push(initMobileNav({ ...navOptions, root }));
+  }
+
+  if (options.cart) {
+    const cartOptions = options.cart === true ? {} : options.cart;
+    controllers.push(initCart({ ...cartOptions, root }));
+  }
+
+  if (options.listing) {
+    const listingOptions = options.listing === true ? {} : options.listing;
+    controllers.push(initListing({ ...listingOptions, root }));
+  }
+
+  if (options.booking) {
+    const bookingOptions = options.booking === true ? {} : options.booking;
+    controllers.push(initBooking({ ...bookingOptions, root }));
+  }
+
+  if (options.reservations) {
+    const reservationOptions = options.reservations === true ? {} : options.reservations;
+    controllers.push(initReservations({ ...reservationOptions, root }));
+  }
+
+  if (options.forms) {
+    const formOptions = options.forms === true ? {} : options.forms;
+    controllers.push(initForms({ ...formOptions, root }));
+  }
+
+  if (options.tour) {
+    const tourOptions = options.tour === true ? {} : options.tour;
+    controllers.push(initTours({ ...tourOptions, root }));
+  }
+
+  if (options.mortgage) {
+    const mortgageOptions = options.mortgage === true ? {} : options.mortgage;
+    controllers.push(initMortgage({ ...mortgageOptions, root }));
+  }
+
+  if (options.year) {
+    const selector = options.year === true ? undefined : options.year;
+    controllers.push(initYearStamp(root, selector));
+  }
+
+  return combineControllers(controllers);
+}
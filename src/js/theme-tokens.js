@@ -0,0 +1,163 @@
+/* ============================================
+   THEME TOKENS
+   The shared token contract, and each template's
+   token set: which of its CSS variables carry a
+   token, and the values for every theme it supports
+   ============================================ */
+
+// Contract token -> the CSS variable it sets when a template does not map it
+export const TOKENS = {
+  bg: '--color-bg',
+  bgAlt: '--color-bg-alt',
+  surface: '--color-surface',
+  text: '--color-text',
+  textMuted: '--color-text-muted',
+  textSubtle: '--color-text-subtle',
+  accent: '--color-accent',
+  accentDark: '--color-accent-dark',
+  accentLight: '--color-accent-light',
+  border: '--color-border',
+  borderStrong: '--color-border-strong',
+  inverse: '--color-inverse',             // Dark-on-light blocks: footers, primary buttons
+  onInverse: '--color-on-inverse'
+};
+
+// Light templates call their text color "primary"
+const LIGHT_TEMPLATE_VARS = {
+  bgAlt: ['--color-bg-warm'],
+  text: ['--color-primary'],
+  textMuted: ['--color-secondary'],
+  textSubtle: ['--color-muted']
+};
+
+// `scheme` is what the stylesheet already draws, so that theme needs no
+// values; a template only lists the themes its CSS can carry
+export const tokenSets = {
+  lumina: {
+    scheme: 'dark',
+    vars: {
+      bgAlt: ['--color-bg-elevated'],
+      textSubtle: ['--color-text-dim'],
+      borderStrong: ['--color-border-hover']
+    },
+    themes: {
+      dark: {},
+      light: {
+        bg: '#F6F3EE',
+        bgAlt: '#FFFFFF',
+        surface: '#ECE7DF',
+        text: '#16140F',
+        textMuted: '#6A665F',
+        textSubtle: '#9A958C',
+        accent: '#A68B4B',
+        accentDark: '#8A7340',
+        accentLight: '#C9A962',
+        border: 'rgba(22, 20, 15, 0.1)',
+        borderStrong: 'rgba(22, 20, 15, 0.2)'
+      }
+    }
+  },
+
+  artisan: {
+    scheme: 'light',
+    vars: LIGHT_TEMPLATE_VARS,
+    themes: {
+      light: {},
+      dark: {
+        bg: '#1B1714',
+        bgAlt: '#231E1A',
+        surface: '#2A2420',
+        text: '#F3EDE4',
+        textMuted: '#C9BDB1',
+        textSubtle: '#8F8479',
+        accent: '#D4906A',
+        accentDark: '#C17F59',
+        accentLight: '#5C4334',
+        border: 'rgba(243, 237, 228, 0.12)',
+        inverse: '#2E2622',
+        onInverse: '#F3EDE4'
+      }
+    }
+  },
+
+  aurora: {
+    scheme: 'light',
+    vars: LIGHT_TEMPLATE_VARS,
+    themes: {
+      light: {},
+      dark: {
+        bg: '#161B17',
+        bgAlt: '#1D231F',
+        surface: '#232A25',
+        text: '#E8EDE6',
+        textMuted: '#AEBBB0',
+        textSubtle: '#7D8A80',
+        accent: '#9DB38D',
+        accentDark: '#8B9F7C',
+        accentLight: '#3C4A38',
+        border: 'rgba(232, 237, 230, 0.12)',
+        inverse: '#28302A',
+        onInverse: '#E8EDE6'
+      }
+    }
+  },
+
+  meridian: {
+    scheme: 'light',
+    vars: { ...LIGHT_TEMPLATE_VARS, bgAlt: ['--color-bg-alt'] },
+    themes: {
+      light: {},
+      dark: {
+        bg: '#121212',
+        bgAlt: '#1A1A1A',
+        surface: '#202020',
+        text: '#F2EFEA',
+        textMuted: '#B5B0A8',
+        textSubtle: '#858079',
+        accent: '#C9A77D',
+        accentDark: '#B8956B',
+        accentLight: '#4A3F31',
+        border: 'rgba(242, 239, 234, 0.1)',
+        inverse: '#262626',
+        onInverse: '#F2EFEA'
+      }
+    }
+  },
+
+  noir: {
+    scheme: 'dark',
+    vars: {
+      bgAlt: ['--color-bg-elevated'],
+      surface: ['--color-bg-card'],
+      accentLight: ['--color-accent-hover'],
+      borderStrong: ['--color-border-light']
+    },
+    themes: {
+      dark: {},
+      light: {
+        bg: '#F5F5F3',
+        bgAlt: '#EBEBE8',
+        surface: '#FFFFFF',
+        text: '#0A0A0A',
+        textMuted: '#5C5C5C',
+        textSubtle: '#9A9A9A',
+        accent: '#E03C3C',
+        accentLight: '#FF4D4D',
+        border: '#DDDDDA',
+        borderStrong: '#CCCCC8'
+      }
+    }
+  },
+
+  // Most of Savor's palette is written into its stylesheet, so it stays dark
+  savor: {
+    scheme: 'dark',
+    vars: {
+      accent: ['--color-gold'],
+      accentDark: ['--color-gold-dim']
+    },
+    themes: {
+      dark: {}
+    }
+  }
+};
@@ -0,0 +1,308 @@
+/* ============================================
+   THEME ENGINE
+   Applies a template's token set as CSS custom
+   properties and switches light / dark / brand
+   themes at runtime
+   ============================================ */
+
+import { TOKENS, tokenSets } from './theme-tokens.js';
+import { createCleanupController, queryAll } from './lifecycle.js';
+
+const STORAGE_KEY = 'lumina:theme';
+const BRAND_KEY = 'lumina:brand';      // sessionStorage: lasts for the pitch, not forever
+const THEMES = ['light', 'dark', 'brand'];
+
+// ============================================
+// BRAND PREVIEW
+// ============================================
+// "accentDark" -> "accent-dark", the query string spelling
+const paramName = (token) => token.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+
+function isColor(value) {
+  return window.CSS?.supports?.('color', value) ?? /^#[0-9a-f]{3,8}$/i.test(value);
+}
+
+// ?accent=%23c9a961&bg=%23101010 -> { accent: '#c9a961', bg: '#101010' };
+// ?brand=reset drops a saved preview
+export function readBrandParams(search = location.search) {
+  const params = new URLSearchParams(search);
+  if (params.get('brand') === 'reset') return { reset: true, tokens: null };
+
+  const tokens = {};
+  Object.keys(TOKENS).forEach((token) => {
+    const value = params.get(paramName(token));
+    if (value && isColor(value)) tokens[token] = value;
+  });
+
+  return { reset: false, tokens: Object.keys(tokens).length ? tokens : null };
+}
+
+// A bare accent gets its darker and lighter shades mixed from it
+function withShades(tokens) {
+  const { accent } = tokens;
+  if (!accent) return tokens;
+
+  return {
+    accentDark: `color-mix(in srgb, ${accent} 80%, black)`,
+    accentLight: `color-mix(in srgb, ${accent} 45%, white)`,
+    ...tokens
+  };
+}
+
+// ============================================
+// THEME ENGINE
+// ============================================
+export class ThemeEngine {
+  constructor() {
+    this.query = window.matchMedia('(prefers-color-scheme: dark)');
+    this.choice = this.readChoice();   // 'light' | 'dark' | 'brand', or null = follow OS
+    this.brand = this.readBrand();     // Previewed client colors
+    this.tokenSet = null;              // The current page's set (theme-tokens.js)
+    this.defaultBrand = null;          // Brand colors from the page config
+    this.applied = [];
+    this.listeners = new Set();
+
+    this.query.addEventListener('change', () => this.notify());
+  }
+
+  // Themes the current page can show
+  get themes() {
+    if (!this.tokenSet) return [];
+
+    const themes = Object.keys(this.tokenSet.themes);
+    return this.brandTokens ? [...themes, 'brand'] : themes;
+  }
+
+  get brandTokens() {
+    return this.brand || this.defaultBrand;
+  }
+
+  // Saved choice if the page supports it, then the OS preference, then
+  // whatever the stylesheet draws
+  get current() {
+    const { themes } = this;
+    if (themes.includes(this.choice)) return this.choice;
+
+    const system = this.query.matches ? 'dark' : 'light';
+    return themes.includes(system) ? system : this.tokenSet?.scheme ?? system;
+  }
+
+  // Brand colors sit on the stylesheet's own scheme
+  get scheme() {
+    const current = this.current;
+    return current === 'brand' ? this.tokenSet.scheme : current;
+  }
+
+  // Switch to a page's token set (an object or a name from theme-tokens.js)
+  use(tokenSet, { brand = null } = {}) {
+    this.tokenSet = typeof tokenSet === 'string' ? tokenSets[tokenSet] : tokenSet;
+    this.defaultBrand = brand;
+    this.notify();
+  }
+
+  // Page left: the stylesheet's values come back
+  release() {
+    this.tokenSet = null;
+    this.defaultBrand = null;
+    this.notify();
+  }
+
+  // 'light' | 'dark' | 'brand', or null to follow the OS again
+  set(choice) {
+    this.choice = THEMES.includes(choice) ? choice : null;
+    this.writeChoice();
+    this.notify();
+  }
+
+  toggle() {
+    this.set(this.scheme === 'dark' ? 'light' : 'dark');
+  }
+
+  // Show a prospect's colors (contract token -> CSS color); null clears them
+  preview(tokens) {
+    this.brand = tokens;
+    this.writeBrand();
+
+    if (tokens) {
+      this.set('brand');
+    } else {
+      this.notify();
+    }
+  }
+
+  // Subscribe to theme changes; returns an unsubscribe function
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.apply();
+    this.listeners.forEach((callback) => callback(this.current));
+  }
+
+  values(name) {
+    const { themes, scheme } = this.tokenSet;
+    if (name !== 'brand') return themes[name] || {};
+
+    return { ...themes[scheme], ...withShades(this.brandTokens) };
+  }
+
+  // Tokens become inline custom properties on <html>, overriding the
+  // stylesheet's :root; data-theme lets CSS follow along
+  apply() {
+    const html = document.documentElement;
+
+    this.applied.forEach((property) => html.style.removeProperty(property));
+    this.applied = [];
+
+    if (!this.tokenSet) {
+      delete html.dataset.theme;
+      return;
+    }
+
+    const current = this.current;
+    const vars = this.tokenSet.vars || {};
+
+    Object.entries(this.values(current)).forEach(([token, value]) => {
+      (vars[token] || [TOKENS[token]]).filter(Boolean).forEach((property) => {
+        html.style.setProperty(property, value);
+        this.applied.push(property);
+      });
+    });
+
+    html.style.setProperty('color-scheme', this.scheme);
+    this.applied.push('color-scheme');
+    html.dataset.theme = current;
+  }
+
+  readChoice() {
+    try {
+      const value = localStorage.getItem(STORAGE_KEY);
+      return THEMES.includes(value) ? value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  writeChoice() {
+    try {
+      if (this.choice === null) {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        localStorage.setItem(STORAGE_KEY, this.choice);
+      }
+    } catch {
+      // Storage unavailable (private mode) - keep the in-memory choice
+    }
+  }
+
+  readBrand() {
+    try {
+      return JSON.parse(sessionStorage.getItem(BRAND_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  writeBrand() {
+    try {
+      if (this.brand) {
+        sessionStorage.setItem(BRAND_KEY, JSON.stringify(this.brand));
+      } else {
+        sessionStorage.removeItem(BRAND_KEY);
+      }
+    } catch {
+      // Storage unavailable - the preview lasts for this page only
+    }
+  }
+}
+
+// Shared instance: there is one <html> to theme
+export const theme = new ThemeEngine();
+
+// ============================================
+// SWITCHER
+// ============================================
+const CHOICES = [
+  ['system', 'Auto'],
+  ['light', 'Light'],
+  ['dark', 'Dark'],
+  ['brand', 'Brand']
+];
+
+function createSwitcher() {
+  const panel = document.createElement('div');
+  panel.className = 'theme-switcher';
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', 'Theme');
+  panel.innerHTML = CHOICES.map(([value, label]) =>
+    `<button type="button" class="theme-switcher__option" data-theme-choice="${value}" aria-pressed="false">${label}</button>`
+  ).join('');
+
+  document.body.appendChild(panel);
+  return panel;
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+// [data-theme-choice="light|dark|brand|system"] and [data-theme-toggle]
+// anywhere on the page drive the engine; `switcher` adds a floating panel
+export function initTheme({ tokens, brand = null, switcher = false } = {}) {
+  const tokenSet = typeof tokens === 'string' ? tokenSets[tokens] : tokens;
+
+  if (!tokenSet) {
+    console.warn(`Lumina: unknown token set "${tokens}"`);
+    return createCleanupController(() => {});
+  }
+
+  const params = readBrandParams();
+  if (params.reset || params.tokens) theme.preview(params.tokens);
+
+  theme.use(tokenSet, { brand });
+
+  const panel = switcher ? createSwitcher() : null;
+
+  function sync(scope = document) {
+    const { themes } = theme;
+
+    queryAll(scope, '[data-theme-choice]').forEach((button) => {
+      const value = button.dataset.themeChoice;
+      button.hidden = value !== 'system' && !themes.includes(value);
+      button.setAttribute('aria-pressed', String(value === (theme.choice ?? 'system')));
+    });
+
+    queryAll(scope, '[data-theme-toggle]').forEach((button) => {
+      button.setAttribute('aria-pressed', String(theme.scheme === 'dark'));
+    });
+
+    // Nothing to switch between
+    if (panel) panel.hidden = themes.length < 2;
+  }
+
+  function onClick(e) {
+    const choice = e.target.closest('[data-theme-choice]');
+    if (choice) {
+      theme.set(choice.dataset.themeChoice);
+      return;
+    }
+
+    if (e.target.closest('[data-theme-toggle]')) theme.toggle();
+  }
+
+  document.addEventListener('click', onClick);
+  const unsubscribe = theme.subscribe(() => sync());
+  sync();
+
+  return {
+    theme,
+    refresh: (scope) => sync(scope),
+    destroy() {
+      document.removeEventListener('click', onClick);
+      unsubscribe();
+      panel?.remove();
+      theme.release();
+    }
+  };
+}
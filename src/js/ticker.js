@@ -0,0 +1,169 @@
+/* ============================================
+   SHARED TICKER MODULE
+   One frame loop (GSAP ticker), one pointer
+   listener and one bounds cache for all modules
+   ============================================ */
+
+import { gsap } from 'gsap';
+
+// ============================================
+// FRAME TICKER
+// ============================================
+// Subscribers run every frame while awake and return false once settled,
+// which puts them to sleep. When nobody is awake the ticker detaches.
+export class Ticker {
+  constructor() {
+    this.awake = new Set();
+    this.running = false;
+    this.tick = this.tick.bind(this);
+  }
+
+  wake(callback) {
+    this.awake.add(callback);
+
+    if (!this.running) {
+      this.running = true;
+      gsap.ticker.add(this.tick);
+    }
+  }
+
+  sleep(callback) {
+    this.awake.delete(callback);
+  }
+
+  tick() {
+    this.awake.forEach((callback) => {
+      if (callback() === false) this.awake.delete(callback);
+    });
+
+    if (this.awake.size === 0) {
+      this.running = false;
+      gsap.ticker.remove(this.tick);
+    }
+  }
+}
+
+// ============================================
+// POINTER
+// ============================================
+// A single document pointermove listener fanned out to subscribers.
+// Subscribers get the PointerEvent and decide per e.pointerType.
+export class Pointer {
+  constructor() {
+    this.x = 0;
+    this.y = 0;
+    this.type = null;            // Last pointerType: 'mouse' | 'pen' | 'touch'
+    this.listeners = new Set();
+    this.onMove = this.onMove.bind(this);
+  }
+
+  subscribe(callback) {
+    if (this.listeners.size === 0) {
+      document.addEventListener('pointermove', this.onMove, { passive: true });
+    }
+    this.listeners.add(callback);
+
+    return () => {
+      this.listeners.delete(callback);
+      if (this.listeners.size === 0) {
+        document.removeEventListener('pointermove', this.onMove);
+      }
+    };
+  }
+
+  onMove(e) {
+    this.x = e.clientX;
+    this.y = e.clientY;
+    this.type = e.pointerType;
+    this.listeners.forEach((callback) => callback(e));
+  }
+}
+
+// ============================================
+// BOUNDS CACHE
+// ============================================
+// Measurements are reused until scroll, resize or a ResizeObserver
+// entry invalidates them, so pointer handlers never force layout per event.
+// Entries are kept per element and per measure function: modules sharing an
+// element (tilt reads a rect, magnetic a center) never see each other's shape.
+const measureRect = (target) => target.getBoundingClientRect();
+
+export class BoundsCache {
+  constructor() {
+    this.cache = new Map();
+    this.observed = new Map();        // Element -> number of modules observing it
+    this.resizeObserver = null;
+    this.clear = this.clear.bind(this);
+  }
+
+  // `measure(el)` defaults to getBoundingClientRect; pass the same function
+  // every time so its entry is found again
+  get(el, measure = measureRect) {
+    let entries = this.cache.get(el);
+    if (!entries) {
+      entries = new Map();
+      this.cache.set(el, entries);
+    }
+
+    if (!entries.has(measure)) {
+      entries.set(measure, measure(el));
+    }
+    return entries.get(measure);
+  }
+
+  invalidate(el) {
+    this.cache.delete(el);
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  // Counted, so one module letting go of a shared element (magnetic and
+  // tilt on the same card) keeps it observed for the other
+  observe(el) {
+    if (this.observed.size === 0) this.attach();
+
+    const count = this.observed.get(el) || 0;
+    this.observed.set(el, count + 1);
+    if (count === 0) this.resizeObserver?.observe(el);
+  }
+
+  unobserve(el) {
+    const count = this.observed.get(el);
+    if (!count) return;
+
+    if (count > 1) {
+      this.observed.set(el, count - 1);
+      return;
+    }
+
+    this.observed.delete(el);
+    this.cache.delete(el);
+    this.resizeObserver?.unobserve(el);
+    if (this.observed.size === 0) this.detach();
+  }
+
+  attach() {
+    window.addEventListener('scroll', this.clear, { passive: true });
+    window.addEventListener('resize', this.clear);
+
+    if ('ResizeObserver' in window) {
+      this.resizeObserver = new ResizeObserver((entries) => {
+        entries.forEach((entry) => this.invalidate(entry.target));
+      });
+    }
+  }
+
+  detach() {
+    window.removeEventListener('scroll', this.clear);
+    window.removeEventListener('resize', this.clear);
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    this.clear();
+  }
+}
+
+export const ticker = new Ticker();
+export const pointer = new Pointer();
+export const bounds = new BoundsCache();
@@ -2,6 +2,10 @@
    3D TILT EFFECT MODULE
    ============================================ */
 
+import { motion } from './motion.js';
+import { createController } from './lifecycle.js';
+import { bounds } from './ticker.js';
+
 export class TiltElement {
   constructor(element, options = {}) {
     this.el = element;
@@ -17,22 +21,35 @@ export class TiltElement {
 
     this.glareElement = null;
     this.rafId = null;
+    this.unsubscribe = null;
+    this.enterTimeout = null;
+    this.paused = false;
+
+    // Bound handlers so destroy() can detach them
+    this.onEnter = this.onEnter.bind(this);
+    this.onMove = this.onMove.bind(this);
+    this.onLeave = this.onLeave.bind(this);
 
     this.init();
   }
 
   init() {
-    // Check for touch device
-    if ('ontouchstart' in window) return;
-
     this.el.style.transformStyle = 'preserve-3d';
     this.el.style.willChange = 'transform';
 
+    // Measured once per hover instead of on every pointermove
+    bounds.observe(this.el);
+
     if (this.options.glare) {
       this.addGlare();
     }
 
     this.bindEvents();
+
+    // Flatten immediately if reduced motion switches on mid-hover
+    this.unsubscribe = motion.subscribe((reduced) => {
+      if (reduced) this.onLeave();
+    });
   }
 
   addGlare() {
@@ -49,22 +66,57 @@ export class TiltElement {
   }
 
   bindEvents() {
-    this.el.addEventListener('mouseenter', () => this.onEnter());
-    this.el.addEventListener('mousemove', (e) => this.onMove(e));
-    this.el.addEventListener('mouseleave', () => this.onLeave());
+    this.el.addEventListener('pointerenter', this.onEnter);
+    this.el.addEventListener('pointermove', this.onMove);
+    this.el.addEventListener('pointerleave', this.onLeave);
+  }
+
+  unbindEvents() {
+    this.el.removeEventListener('pointerenter', this.onEnter);
+    this.el.removeEventListener('pointermove', this.onMove);
+    this.el.removeEventListener('pointerleave', this.onLeave);
+  }
+
+  // Out of view: flatten and stop measuring until it comes back
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+
+    this.unbindEvents();
+    bounds.unobserve(this.el);
+    this.onLeave();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+
+    bounds.observe(this.el);
+    this.bindEvents();
   }
 
-  onEnter() {
+  // Mouse and pen tilt; touch is left alone so it can scroll
+  accepts(e) {
+    return e.pointerType !== 'touch';
+  }
+
+  onEnter(e) {
+    if (!this.accepts(e)) return;
+
+    bounds.invalidate(this.el);
     this.el.style.transition = `transform ${this.options.speed}ms ease`;
 
     // Remove transition after initial scale for smooth tilt
-    setTimeout(() => {
+    clearTimeout(this.enterTimeout);
+    this.enterTimeout = setTimeout(() => {
       this.el.style.transition = 'none';
     }, this.options.speed);
   }
 
   onMove(e) {
-    const rect = this.el.getBoundingClientRect();
+    if (motion.reduced || !this.accepts(e)) return;
+
+    const rect = bounds.get(this.el);
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
@@ -111,11 +163,20 @@ export class TiltElement {
   }
 
   destroy() {
+    this.unsubscribe?.();
+    clearTimeout(this.enterTimeout);
+    // Paused already let go of its bounds
+    if (!this.paused) bounds.unobserve(this.el);
+    this.unbindEvents();
+
     this.el.style.transform = '';
     this.el.style.transition = '';
+    this.el.style.transformStyle = '';
+    this.el.style.willChange = '';
 
     if (this.glareElement) {
       this.glareElement.parentElement.remove();
+      this.glareElement = null;
     }
   }
 }
@@ -123,16 +184,24 @@ export class TiltElement {
 // ============================================
 // INITIALIZE FROM DATA ATTRIBUTES
 // ============================================
-export function initTilt() {
-  document.querySelectorAll('[data-tilt]').forEach((el) => {
-    const maxTilt = parseFloat(el.dataset.tiltMax) || 15;
-    const scale = parseFloat(el.dataset.tiltScale) || 1.02;
-    const glare = el.dataset.tiltGlare !== 'false';
-
-    new TiltElement(el, {
-      maxTilt,
-      scale,
-      glare
-    });
+// data-tilt-max / -scale / -glare -> a TiltElement
+export function createTilt(el) {
+  const maxTilt = parseFloat(el.dataset.tiltMax) || 15;
+  const scale = parseFloat(el.dataset.tiltScale) || 1.02;
+  const glare = el.dataset.tiltGlare !== 'false';
+
+  return new TiltElement(el, {
+    maxTilt,
+    scale,
+    glare
+  });
+}
+
+export function initTilt(root = document) {
+  return createController({
+    key: 'tilt',
+    selector: '[data-tilt]',
+    root,
+    create: createTilt
   });
 }
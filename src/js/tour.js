@@ -0,0 +1,372 @@
+/* ============================================
+   VIRTUAL TOUR MODULE
+   Property tours in a modal: panorama scenes,
+   hotspots linking rooms and a floor plan
+   minimap, from a per-property JSON config
+   ============================================ */
+
+import { motion } from './motion.js';
+import { smoothScroll } from './smooth-scroll.js';
+import { createController } from './lifecycle.js';
+import { PanoramaViewer, loadPanorama } from './panorama.js';
+import { escapeHtml } from './format.js';
+import { wrapFocus } from './focus.js';
+
+const e = (value) => escapeHtml(value ?? '');
+
+// Config: a list of tours, one per property -
+// { property, title, start, floorplan: { width, height, rooms: [{ scene,
+// label, x, y, width, height }] }, scenes: [{ id, title, image, coverage,
+// view: { yaw, pitch, fov }, heading, hotspots: [{ scene, yaw, pitch, label }] }] }
+// `heading` is the floor plan direction (degrees clockwise from up) that
+// yaw 0 faces, so the minimap's view cone points the right way.
+
+// Markup: [data-tour] holding an overlay and a dialog with [data-tour-close],
+// [data-tour-heading], [data-tour-scene], [data-tour-canvas],
+// [data-tour-hotspots], [data-tour-minimap], [data-tour-status], optional
+// [data-tour-zoom="in|out"] buttons and the inline [data-tour-config] JSON
+export class Tour {
+  constructor(modal, options = {}) {
+    this.modal = modal;
+    this.options = {
+      root: document,
+      source: null,                    // URL; falls back to the inline JSON
+      trigger: '[data-tour-open]',     // data-tour-open="<property id>", empty for the first tour
+      fadeDuration: 300,
+      ...options
+    };
+
+    const find = (name) => modal.querySelector(`[data-tour-${name}]`);
+
+    this.panel = modal.querySelector('[role="dialog"]');
+    this.heading = find('heading');
+    this.sceneLabel = find('scene');
+    this.canvas = find('canvas');
+    this.stage = this.canvas.parentElement;
+    this.hotspotLayer = find('hotspots');
+    this.minimap = find('minimap');
+    this.status = find('status');
+
+    this.tours = [];
+    this.tour = null;
+    this.scene = null;
+    this.hotspots = [];
+    this.cache = new Map();            // Image URL -> loading pixels
+    this.loadId = 0;
+    this.isOpen = false;
+    this.destroyed = false;
+    this.lastFocus = null;
+    this.hideTimeout = null;
+    this.marker = null;
+
+    this.onTrigger = this.onTrigger.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onKeydown = this.onKeydown.bind(this);
+
+    this.viewer = new PanoramaViewer(this.canvas, {
+      onChange: (view) => this.onViewChange(view)
+    });
+
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('click', this.onTrigger);
+    this.modal.addEventListener('click', this.onClick);
+    this.loadConfig();
+  }
+
+  async loadConfig() {
+    const url = this.options.source;
+    const inline = this.modal.querySelector('[data-tour-config]');
+
+    try {
+      if (url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.tours = await response.json();
+      } else {
+        this.tours = JSON.parse(inline?.textContent || '[]');
+      }
+    } catch (error) {
+      console.warn('Lumina: could not load tour config', error);
+      this.tours = [];
+    }
+  }
+
+  findTour(property) {
+    return property
+      ? this.tours.find((tour) => tour.property === property)
+      : this.tours[0];
+  }
+
+  // ============================================
+  // SCENES
+  // ============================================
+
+  async showScene(id) {
+    const scene = this.tour.scenes.find((item) => item.id === id);
+    if (!scene) return;
+
+    const loadId = ++this.loadId;
+    this.scene = scene;
+    this.sceneLabel.textContent = scene.title || '';
+    this.renderMinimap();
+    this.setStatus('Loading view…');
+    this.stage.classList.add('is-loading');
+
+    if (!this.cache.has(scene.image)) {
+      this.cache.set(scene.image, loadPanorama(scene.image).catch((error) => {
+        this.cache.delete(scene.image);
+        throw error;
+      }));
+    }
+
+    // The outgoing view fades while the next one loads
+    const fade = motion.reduced
+      ? Promise.resolve()
+      : new Promise((resolve) => setTimeout(resolve, this.options.fadeDuration));
+
+    let source;
+    try {
+      [source] = await Promise.all([this.cache.get(scene.image), fade]);
+    } catch (error) {
+      if (loadId !== this.loadId || this.destroyed) return;
+      console.warn('Lumina: could not load tour scene', error);
+      this.setStatus('This view could not be loaded.');
+      return;
+    }
+
+    // A newer scene was asked for meanwhile
+    if (loadId !== this.loadId || this.destroyed) return;
+
+    this.renderHotspots();
+    this.viewer.setSource(source, { coverage: scene.coverage, view: scene.view });
+    this.stage.classList.remove('is-loading');
+    this.setStatus('');
+  }
+
+  setStatus(message) {
+    this.status.textContent = message;
+    this.status.hidden = !message;
+  }
+
+  // ============================================
+  // HOTSPOTS
+  // ============================================
+
+  renderHotspots() {
+    const titles = new Map(this.tour.scenes.map((scene) => [scene.id, scene.title]));
+
+    this.hotspotLayer.innerHTML = (this.scene.hotspots || []).map((hotspot) => {
+      const label = hotspot.label || titles.get(hotspot.scene) || hotspot.scene;
+
+      return `<button type="button" class="tour__hotspot" data-tour-go="${e(hotspot.scene)}" hidden>
+  <span class="tour__hotspot-label">${e(label)}</span>
+</button>`;
+    }).join('');
+
+    this.hotspots = Array.from(this.hotspotLayer.children).map((button, index) => ({
+      button,
+      ...this.scene.hotspots[index]
+    }));
+  }
+
+  // Follow the view; hotspots behind the camera or off the canvas hide
+  positionHotspots() {
+    this.hotspots.forEach(({ button, yaw = 0, pitch = 0 }) => {
+      const { x, y, visible } = this.viewer.project(yaw, pitch);
+      button.hidden = !visible;
+      if (visible) button.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+    });
+  }
+
+  // ============================================
+  // MINIMAP
+  // ============================================
+
+  // Rooms are buttons laid over the plan in percentages; an SVG on top
+  // draws the view cone
+  renderMinimap() {
+    const plan = this.tour.floorplan;
+    if (!this.minimap) return;
+
+    if (!plan?.rooms?.length) {
+      this.minimap.hidden = true;
+      return;
+    }
+
+    const { width, height, rooms } = plan;
+    const percent = (value, total) => `${(value / total) * 100}%`;
+
+    this.minimap.hidden = false;
+    this.minimap.style.aspectRatio = `${width} / ${height}`;
+    this.minimap.innerHTML = `${rooms.map((room) => {
+      const current = room.scene === this.scene.id;
+      const style = [
+        `left: ${percent(room.x, width)}`,
+        `top: ${percent(room.y, height)}`,
+        `width: ${percent(room.width, width)}`,
+        `height: ${percent(room.height, height)}`
+      ].join('; ');
+
+      return `<button type="button" class="tour__room${current ? ' is-current' : ''}" style="${style}"${room.scene ? ` data-tour-go="${e(room.scene)}"` : ' disabled'} aria-pressed="${current}">${e(room.label)}</button>`;
+    }).join('')}
+<svg class="tour__map-overlay" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+  <g class="tour__marker"><path class="tour__cone"></path><circle r="${Math.min(width, height) / 40}"></circle></g>
+</svg>`;
+
+    const room = rooms.find((item) => item.scene === this.scene.id);
+    const marker = this.minimap.querySelector('.tour__marker');
+
+    this.marker = room
+      ? { element: marker, cone: marker.querySelector('path'), x: room.x + room.width / 2, y: room.y + room.height / 2, radius: Math.min(width, height) / 6, fov: null }
+      : null;
+    marker.style.display = room ? '' : 'none';
+  }
+
+  positionMarker({ yaw, fov }) {
+    if (!this.marker) return;
+
+    const { element, cone, x, y, radius } = this.marker;
+    const heading = (this.scene.heading || 0) + yaw;
+    element.setAttribute('transform', `translate(${x} ${y}) rotate(${heading})`);
+
+    // Wedge opening upwards, as wide as the field of view
+    if (this.marker.fov !== fov) {
+      this.marker.fov = fov;
+      const half = (fov / 2) * (Math.PI / 180);
+      const dx = radius * Math.sin(half);
+      const dy = -radius * Math.cos(half);
+      cone.setAttribute('d', `M0 0 L${-dx} ${dy} A${radius} ${radius} 0 0 1 ${dx} ${dy} Z`);
+    }
+  }
+
+  onViewChange(view) {
+    this.positionHotspots();
+    this.positionMarker(view);
+  }
+
+  // ============================================
+  // MODAL
+  // ============================================
+
+  onTrigger(e) {
+    const trigger = e.target.closest(this.options.trigger);
+    if (!trigger || !this.options.root.contains(trigger)) return;
+
+    const tour = this.findTour(trigger.dataset.tourOpen);
+    if (!tour) return;
+
+    e.preventDefault();
+    this.open(tour);
+  }
+
+  open(tour) {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.lastFocus = document.activeElement;
+
+    // Pixels are large; keep only the open tour's
+    if (tour !== this.tour) this.cache.clear();
+    this.tour = tour;
+
+    clearTimeout(this.hideTimeout);
+    this.heading.textContent = tour.title || '';
+    this.modal.hidden = false;
+    document.body.classList.add('tour-open');
+    smoothScroll.stop('tour');
+    document.addEventListener('keydown', this.onKeydown);
+
+    this.showScene(tour.start || tour.scenes[0]?.id);
+
+    // Next frame so the fade-in runs from the hidden state
+    requestAnimationFrame(() => {
+      this.modal.classList.add('is-open');
+      this.canvas.focus();
+    });
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.loadId++;
+
+    this.modal.classList.remove('is-open');
+    document.body.classList.remove('tour-open');
+    smoothScroll.start('tour');
+    document.removeEventListener('keydown', this.onKeydown);
+
+    const hide = () => {
+      clearTimeout(this.hideTimeout);
+      if (!this.isOpen) this.modal.hidden = true;
+    };
+    if (motion.reduced) {
+      hide();
+    } else {
+      this.hideTimeout = setTimeout(hide, 400);
+    }
+
+    this.lastFocus?.focus?.();
+  }
+
+  // Escape closes; Tab wraps inside the panel
+  onKeydown(e) {
+    if (e.key === 'Escape') {
+      this.close();
+      return;
+    }
+
+    wrapFocus(e, this.panel);
+  }
+
+  onClick(e) {
+    if (e.target.closest('[data-tour-close]')) {
+      this.close();
+      return;
+    }
+
+    const zoom = e.target.closest('[data-tour-zoom]');
+    if (zoom) {
+      const step = this.viewer.options.zoomStep;
+      this.viewer.zoom(zoom.dataset.tourZoom === 'in' ? -step : step);
+      return;
+    }
+
+    const go = e.target.closest('[data-tour-go]');
+    if (go && go.dataset.tourGo !== this.scene?.id) {
+      this.showScene(go.dataset.tourGo);
+      this.canvas.focus();
+    }
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.close();
+    clearTimeout(this.hideTimeout);
+    this.modal.hidden = true;
+
+    document.removeEventListener('click', this.onTrigger);
+    document.removeEventListener('keydown', this.onKeydown);
+    this.modal.removeEventListener('click', this.onClick);
+
+    this.viewer.destroy();
+    this.cache.clear();
+    this.hotspotLayer.innerHTML = '';
+    if (this.minimap) this.minimap.innerHTML = '';
+  }
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+export function initTours(options = {}) {
+  const { root = document, selector = '[data-tour]' } = options;
+
+  return createController({
+    key: 'tour',
+    selector,
+    root,
+    create: (modal) => new Tour(modal, { ...options, root })
+  });
+}
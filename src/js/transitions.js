@@ -0,0 +1,354 @@
+/* ============================================
+   PAGE TRANSITIONS MODULE
+   Same-origin links swap [data-transition-container]
+   behind a GSAP curtain instead of a full reload
+   ============================================ */
+
+import { gsap } from 'gsap';
+import { motion } from './motion.js';
+import { smoothScroll } from './smooth-scroll.js';
+
+const CONTAINER = '[data-transition-container]';
+
+export class TransitionRouter {
+  constructor(options = {}) {
+    this.options = {
+      duration: 0.6,
+      ease: 'power4.inOut',
+      color: '#0d0d0d',
+      onLeave: () => {},             // before the old container is removed
+      onEnter: () => {},             // after the new container is in the DOM
+      ...options
+    };
+
+    this.cache = new Map();          // url -> Promise<html>
+    this.busy = false;
+    this.pending = null;             // popstate that arrived mid-transition
+    this.currentPage = pageKey(location.href);
+    this.overlay = null;
+
+    this.onClick = this.onClick.bind(this);
+    this.onPopState = this.onPopState.bind(this);
+    this.onHover = this.onHover.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (!document.querySelector(CONTAINER)) return;
+
+    this.createOverlay();
+    this.pinStylesheetUrls();
+
+    // We restore positions ourselves once the new content is in place
+    history.scrollRestoration = 'manual';
+    history.replaceState({ ...history.state, lumina: true, scrollY: window.scrollY }, '');
+
+    document.addEventListener('click', this.onClick);
+    document.addEventListener('mouseover', this.onHover);
+    window.addEventListener('popstate', this.onPopState);
+  }
+
+  // Relative hrefs would re-resolve against each pushed URL, so make them absolute
+  pinStylesheetUrls() {
+    document.head.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      link.setAttribute('href', link.href);
+    });
+  }
+
+  // Styled inline: page stylesheets are swapped out during a transition
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'page-transition';
+    this.overlay.setAttribute('aria-hidden', 'true');
+
+    Object.assign(this.overlay.style, {
+      position: 'fixed',
+      inset: '0',
+      zIndex: '2147483646',
+      background: this.options.color,
+      pointerEvents: 'none',
+      transform: 'scaleY(0)',
+      transformOrigin: 'bottom'
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  // ============================================
+  // LINK INTERCEPTION
+  // ============================================
+  getTransitionUrl(e) {
+    if (e.defaultPrevented || e.button !== 0) return null;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return null;
+
+    const link = e.target.closest('a[href]');
+    if (!link) return null;
+    if (link.target && link.target !== '_self') return null;
+    if (link.hasAttribute('download') || link.dataset.transition === 'false') return null;
+
+    const url = new URL(link.href, location.href);
+    if (url.origin !== location.origin) return null;
+
+    // Same-page anchors belong to smooth scroll
+    if (url.pathname === location.pathname && url.search === location.search) return null;
+
+    // Only HTML pages (directories or .html), never assets
+    if (/\.[a-z0-9]+$/i.test(url.pathname) && !url.pathname.endsWith('.html')) return null;
+
+    return url;
+  }
+
+  onClick(e) {
+    const url = this.getTransitionUrl(e);
+    if (!url) return;
+
+    e.preventDefault();
+    this.navigate(url.href);
+  }
+
+  // Warm the cache while the pointer is on its way to the click
+  onHover(e) {
+    const link = e.target.closest?.('a[href]');
+    if (!link) return;
+
+    const url = this.getTransitionUrl({ target: link, button: 0 });
+    if (url) this.fetchPage(url.href).catch(() => {});
+  }
+
+  onPopState(e) {
+    // Hash-only history entries stay on the current page
+    if (pageKey(location.href) === this.currentPage) return;
+
+    const scrollY = e.state?.scrollY ?? 0;
+
+    if (this.busy) {
+      this.pending = { url: location.href, scrollY };
+      return;
+    }
+
+    this.navigate(location.href, { push: false, scrollY });
+  }
+
+  fetchPage(url) {
+    const key = pageKey(url);
+
+    if (!this.cache.has(key)) {
+      const request = fetch(key, { headers: { 'X-Lumina-Transition': '1' } })
+        .then((response) => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          return response.text();
+        })
+        .catch((error) => {
+          this.cache.delete(key);
+          throw error;
+        });
+
+      this.cache.set(key, request);
+    }
+
+    return this.cache.get(key);
+  }
+
+  // ============================================
+  // NAVIGATION
+  // ============================================
+  async navigate(url, { push = true, scrollY = null } = {}) {
+    if (this.busy) return;
+    this.busy = true;
+
+    // Remember where we were, for the back button
+    history.replaceState({ ...history.state, lumina: true, scrollY: window.scrollY }, '');
+
+    try {
+      const [html] = await Promise.all([this.fetchPage(url), this.cover()]);
+      const nextDoc = new DOMParser().parseFromString(html, 'text/html');
+      const nextContainer = nextDoc.querySelector(CONTAINER);
+
+      // Page is not transition-ready: hand over to the browser
+      if (!nextContainer) {
+        location.assign(url);
+        return;
+      }
+
+      this.options.onLeave(document.querySelector(CONTAINER));
+
+      // Push first so relative URLs in the new markup resolve correctly
+      if (push) history.pushState({ lumina: true, scrollY: 0 }, '', url);
+
+      await this.swapHead(nextDoc, url);
+      const container = this.swapContainer(nextContainer);
+      this.currentPage = pageKey(location.href);
+
+      this.restoreScroll(scrollY);
+      this.options.onEnter(container);
+
+      await this.reveal();
+    } catch (error) {
+      console.warn('Lumina: page transition failed, reloading', error);
+      location.assign(url);
+    } finally {
+      this.busy = false;
+    }
+
+    // The back/forward button was pressed during the transition
+    if (this.pending) {
+      const { url: pendingUrl, scrollY: pendingScroll } = this.pending;
+      this.pending = null;
+
+      if (pageKey(pendingUrl) !== this.currentPage) {
+        this.navigate(pendingUrl, { push: false, scrollY: pendingScroll });
+      }
+    }
+  }
+
+  // Title, description and stylesheets follow the new page
+  async swapHead(nextDoc, url) {
+    document.title = nextDoc.title;
+
+    const description = nextDoc.querySelector('meta[name="description"]');
+    const currentDescription = document.querySelector('meta[name="description"]');
+    if (description && currentDescription) {
+      currentDescription.content = description.content;
+    }
+
+    // Current links are pinned to absolute hrefs; incoming ones resolve against their page
+    const key = (node) => (node.tagName === 'LINK'
+      ? new URL(node.getAttribute('href'), url).href
+      : node.textContent);
+
+    const selector = 'link[rel="stylesheet"], style';
+    const current = Array.from(document.head.querySelectorAll(selector))
+      .filter((node) => !node.hasAttribute('data-transition-persist'));
+    const next = Array.from(nextDoc.head.querySelectorAll(selector));
+
+    const currentKeys = new Map(current.map((node) => [key(node), node]));
+    const nextKeys = new Set(next.map(key));
+
+    // Load incoming styles before the curtain lifts
+    const loads = next
+      .filter((node) => !currentKeys.has(key(node)))
+      .map((node) => {
+        const clone = document.createElement(node.tagName);
+        Array.from(node.attributes).forEach(({ name, value }) => clone.setAttribute(name, value));
+
+        if (node.tagName === 'LINK') {
+          clone.href = key(node);
+        } else {
+          clone.textContent = node.textContent;
+        }
+
+        document.head.appendChild(clone);
+        return node.tagName === 'LINK' ? stylesheetLoaded(clone) : null;
+      });
+
+    await Promise.all(loads);
+
+    // Unload styles the new page does not use
+    currentKeys.forEach((node, nodeKey) => {
+      if (!nextKeys.has(nodeKey)) node.remove();
+    });
+  }
+
+  swapContainer(nextContainer) {
+    const current = document.querySelector(CONTAINER);
+    const container = document.adoptNode(nextContainer);
+
+    current.replaceWith(container);
+    this.runScripts(container);
+
+    return container;
+  }
+
+  // Parsed scripts are inert; recreate classic ones so they execute.
+  // Inline scripts run in a block so re-entering a page does not
+  // redeclare its top-level const/let bindings. Module scripts stay
+  // inert: page modules are mounted by onEnter (Lumina.init) instead.
+  // Data blocks (application/json) are left as they are.
+  //
+  // Inline scripts run again on every visit, with nothing to undo them on
+  // leave. Safe: scripts that only touch the container's own, fresh markup
+  // (the landing year stamp, Noir's video hover). Listeners on window or
+  // document, timers and globals belong in a module controller instead.
+  runScripts(container) {
+    container.querySelectorAll('script').forEach((old) => {
+      if (old.type && !/^(text|application)\/(java|ecma)script$/i.test(old.type)) return;
+
+      const script = document.createElement('script');
+      Array.from(old.attributes).forEach(({ name, value }) => script.setAttribute(name, value));
+      script.textContent = old.src ? '' : `{\n${old.textContent}\n}`;
+
+      old.replaceWith(script);
+    });
+  }
+
+  // Through the scroll engine, so hash targets clear the nav and the
+  // engine starts from the restored position
+  restoreScroll(scrollY) {
+    const hashY = location.hash ? smoothScroll.offsetOf(location.hash) : null;
+    smoothScroll.jump(scrollY ?? hashY ?? 0);
+  }
+
+  // ============================================
+  // CURTAIN
+  // ============================================
+  cover() {
+    this.overlay.style.pointerEvents = 'auto';
+
+    return gsap.fromTo(this.overlay,
+      { scaleY: 0, transformOrigin: 'bottom' },
+      {
+        scaleY: 1,
+        duration: motion.reduced ? 0 : this.options.duration,
+        ease: this.options.ease
+      }
+    ).then();
+  }
+
+  reveal() {
+    return gsap.to(this.overlay, {
+      scaleY: 0,
+      transformOrigin: 'top',
+      duration: motion.reduced ? 0 : this.options.duration,
+      ease: this.options.ease,
+      delay: motion.reduced ? 0 : 0.1,
+      onComplete: () => {
+        this.overlay.style.pointerEvents = 'none';
+      }
+    }).then();
+  }
+
+  destroy() {
+    document.removeEventListener('click', this.onClick);
+    document.removeEventListener('mouseover', this.onHover);
+    window.removeEventListener('popstate', this.onPopState);
+    this.overlay?.remove();
+    this.overlay = null;
+    this.cache.clear();
+  }
+}
+
+// Page identity ignores the hash
+function pageKey(url) {
+  return new URL(url, location.href).href.split('#')[0];
+}
+
+// Resolve once a <link> stylesheet has loaded (or failed - never block the page)
+function stylesheetLoaded(link) {
+  return new Promise((resolve) => {
+    link.addEventListener('load', resolve, { once: true });
+    link.addEventListener('error', resolve, { once: true });
+    setTimeout(resolve, 3000);
+  });
+}
+
+export function initTransitions(options = {}) {
+  const router = new TransitionRouter(options);
+
+  return {
+    router,
+    navigate: (url) => router.navigate(url),
+    refresh() {},
+    destroy: () => router.destroy()
+  };
+}
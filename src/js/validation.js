@@ -0,0 +1,124 @@
+/* ============================================
+   FIELD VALIDATION
+   Native constraints plus named rules
+   (data-validate="phone-my"), with inline,
+   screen-reader friendly error messages
+   ============================================ */
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// ============================================
+// MALAYSIAN PHONE NUMBERS
+// ============================================
+// Accepts "+60 12-345 6789", "60123456789" or "012-345 6789" and returns
+// "+60123456789", or null. Mobiles are 01x + 7-8 digits, landlines 0[3-9] + 7-8.
+export function normalizeMalaysianPhone(value = '') {
+  const digits = value.replace(/[\s\-().]/g, '');
+  const match = digits.match(/^(?:\+?60|0)([1-9]\d{7,9})$/);
+  if (!match) return null;
+
+  const national = match[1];
+  const valid = national.startsWith('1')
+    ? /^1\d{8,9}$/.test(national)
+    : /^[3-9]\d{7,8}$/.test(national);
+
+  return valid ? `+60${national}` : null;
+}
+
+// ============================================
+// RULES
+// ============================================
+// name -> (value, field) => true or an error message
+const rules = new Map([
+  ['email', (value) => EMAIL.test(value) || 'Enter a valid email address.'],
+  ['phone-my', (value) => Boolean(normalizeMalaysianPhone(value))
+    || 'Enter a Malaysian number, e.g. +60 12-345 6789.']
+]);
+
+export function registerRule(name, rule) {
+  rules.set(name, rule);
+}
+
+// Returns the first error message for a field, or ''
+export function validateField(field) {
+  const value = field.value.trim();
+
+  if (!value) {
+    return field.required ? (field.dataset.required || 'This field is required.') : '';
+  }
+
+  if (field.minLength > 0 && value.length < field.minLength) {
+    return `Please enter at least ${field.minLength} characters.`;
+  }
+
+  const names = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+  if (field.type === 'email' && !names.includes('email')) names.unshift('email');
+
+  for (const name of names) {
+    const rule = rules.get(name);
+    const result = rule ? rule(value, field) : true;
+    if (result !== true) return result;
+  }
+
+  return '';
+}
+
+// ============================================
+// ERROR MESSAGES
+// ============================================
+const GROUP_SELECTOR = '.form-group, .form-field';
+
+// One message element per field, linked through aria-describedby. It goes
+// at the end of the field's group so `input + label` styling still works.
+export function setFieldError(field, message) {
+  const id = `${field.id || field.name}-error`;
+  const group = field.closest(GROUP_SELECTOR);
+  let error = field.form?.querySelector(`[id="${id}"]`) || null;
+
+  if (!error && message) {
+    error = document.createElement('p');
+    error.className = 'form-error';
+    error.id = id;
+    error.setAttribute('aria-live', 'polite');
+
+    if (group) {
+      group.appendChild(error);
+    } else {
+      field.insertAdjacentElement('afterend', error);
+    }
+  }
+
+  const describedBy = (field.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .filter((token) => token && token !== id);
+
+  if (message) {
+    error.textContent = message;
+    error.hidden = false;
+    describedBy.push(id);
+    field.setAttribute('aria-invalid', 'true');
+  } else {
+    if (error) {
+      error.textContent = '';
+      error.hidden = true;
+    }
+    field.removeAttribute('aria-invalid');
+  }
+
+  if (describedBy.length) {
+    field.setAttribute('aria-describedby', describedBy.join(' '));
+  } else {
+    field.removeAttribute('aria-describedby');
+  }
+
+  group?.classList.toggle('has-error', Boolean(message));
+}
+
+// Validates every field, shows messages and returns the invalid ones
+export function validateFields(fields) {
+  return fields.filter((field) => {
+    const message = validateField(field);
+    setFieldError(field, message);
+    return Boolean(message);
+  });
+}
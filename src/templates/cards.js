@@ -0,0 +1,250 @@
+/* ============================================
+   CARD TEMPLATES
+   One function per card type, each taking an item
+   from a page's data/*.json and returning markup
+   ============================================ */
+
+import { escapeHtml, formatPrice, slugify } from '../js/format.js';
+
+const number = new Intl.NumberFormat('en-MY');
+
+// Attribute or text value, escaped
+const e = (value) => escapeHtml(value ?? '');
+
+function image({ src, alt = '' }, className) {
+  return `<img src="${e(src)}" alt="${e(alt)}" class="${className}">`;
+}
+
+// { label, variant } -> <tag class="block__badge block__badge--variant">
+function badge(item, block, tag = 'span') {
+  if (!item.badge) return '';
+  const { label, variant } = typeof item.badge === 'string' ? { label: item.badge } : item.badge;
+  const modifier = variant ? ` ${block}__badge--${e(variant)}` : '';
+
+  return `<${tag} class="${block}__badge${modifier}">${e(label)}</${tag}>`;
+}
+
+// ============================================
+// Artisan: product card
+// ============================================
+export function productCard(item) {
+  return `<article class="product-card" data-product-id="${e(item.id)}" data-product-price="${e(item.price)}">
+  <a href="${e(item.href || '#')}" class="product-card__link">
+    <div class="product-card__image-wrapper">
+      ${image(item.image, 'product-card__image')}
+      ${item.hoverImage ? image(item.hoverImage, 'product-card__image product-card__image--hover') : ''}
+      ${badge(item, 'product-card')}
+    </div>
+    <div class="product-card__content">
+      <span class="product-card__category">${e(item.category)}</span>
+      <h3 class="product-card__title">${e(item.title)}</h3>
+      <span class="product-card__price">${e(formatPrice(item.price))}</span>
+    </div>
+  </a>
+  <button class="product-card__add">Add to Cart</button>
+</article>`;
+}
+
+// ============================================
+// Meridian: property card
+// ============================================
+const HEART_ICON = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+      </svg>`;
+
+const PIN_ICON = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+        <circle cx="12" cy="10" r="3"></circle>
+      </svg>`;
+
+// Properties with a tour in data/tours.json open it (src/js/tour.js)
+function propertyLink(item) {
+  const link = item.link || {};
+  const tour = item.tour ? ` data-tour-open="${e(item.id)}"` : '';
+
+  return `<a href="${e(link.href || '#')}" class="property-card__link"${tour}>${e(link.label || 'View →')}</a>`;
+}
+
+export function propertyCard(item) {
+  const featured = item.featured ? ' property-card--featured' : '';
+
+  return `<article class="property-card${featured}" data-category="${e(item.category)}" data-property-id="${e(item.id)}">
+  <div class="property-card__image-wrapper">
+    ${image(item.image, 'property-card__image')}
+    ${badge(item, 'property-card', 'div')}
+    <button class="property-card__save" aria-label="Save property" aria-pressed="false">
+      ${HEART_ICON}
+    </button>
+  </div>
+  <div class="property-card__content">
+    <div class="property-card__location">
+      ${PIN_ICON}
+      ${e(item.location)}
+    </div>
+    <h3 class="property-card__title">${e(item.title)}</h3>
+    ${item.description ? `<p class="property-card__description">${e(item.description)}</p>` : ''}
+    <div class="property-card__specs">
+      <span class="spec"><strong>${number.format(item.beds)}</strong> Beds</span>
+      <span class="spec"><strong>${number.format(item.baths)}</strong> Baths</span>
+      <span class="spec"><strong>${number.format(item.sqft)}</strong> sqft</span>
+    </div>
+    <div class="property-card__footer">
+      <span class="property-card__price">${e(formatPrice(item.price))}</span>
+      ${propertyLink(item)}
+    </div>
+    <a href="#mortgage" class="property-card__calc" data-mortgage-property>Estimate repayments</a>
+  </div>
+</article>`;
+}
+
+// ============================================
+// Aurora: treatment card
+// ============================================
+export function treatmentCard(item) {
+  const link = item.link || {};
+
+  return `<article class="treatment-card" data-treatment-id="${e(item.id)}" data-duration="${e(item.duration)}">
+  <div class="treatment-card__image-wrapper">
+    ${image(item.image, 'treatment-card__image')}
+  </div>
+  <div class="treatment-card__content">
+    <span class="treatment-card__duration">${e(item.duration)} min</span>
+    <h3 class="treatment-card__title">${e(item.title)}</h3>
+    <p class="treatment-card__description">${e(item.description)}</p>
+    <div class="treatment-card__footer">
+      <span class="treatment-card__price">${e(formatPrice(item.price))}</span>
+      <a href="${e(link.href || '#book')}" class="treatment-card__link">${e(link.label || 'Book →')}</a>
+    </div>
+  </div>
+</article>`;
+}
+
+// ============================================
+// Savor: menu item
+// ============================================
+export function menuItem(item) {
+  const dietary = (item.dietary || []).join(', ');
+
+  return `<div class="menu-item"${dietary ? ` data-dietary="${e(dietary)}"` : ''}>
+  ${image(item.image, 'dish-image')}
+  <h3>${e(item.title)}</h3>
+  <p>${e(item.description)}</p>
+</div>`;
+}
+
+// ============================================
+// Landing page: showcase from project-status.json
+// ============================================
+// Manifest entry -> display fields plus the type / industry / status it is
+// filtered and badged by
+function showcaseEntries(entries) {
+  return entries
+    .filter((entry) => entry.showcase)
+    .map(({ showcase, name, type, industry, status }) => ({ ...showcase, name, type, industry, status }))
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+}
+
+function preview(item) {
+  if (!item.preview) return '';
+  const { type = 'image', src } = item.preview;
+
+  return type === 'video'
+    ? `<video src="${e(src)}" muted loop playsinline preload="none" hidden data-cursor-preview></video>`
+    : `<img src="${e(src)}" alt="" loading="lazy" hidden data-cursor-preview>`;
+}
+
+// Anything past "draft" is deployed
+function statusBadge(status) {
+  const draft = status === 'draft';
+
+  return `<span class="live-badge${draft ? ' live-badge--draft' : ''}">
+        <span class="live-badge__dot"></span>
+        ${draft ? 'Draft' : 'Live'}
+      </span>`;
+}
+
+export function showcaseItem(item, { animate = 'fade-up' } = {}) {
+  const featured = item.featured ? ' showcase-item--featured' : '';
+  const tags = (item.tags || []).map((tag) => `<span class="browser-mockup__tag">${e(tag)}</span>`).join('\n          ');
+  const linkLabel = item.status === 'draft' ? 'Preview Draft' : 'Visit Live Site';
+
+  return `<div class="showcase-item${featured}" data-animate="${animate}" data-showcase-item="${e(item.name)}" data-type="${e(slugify(item.type))}" data-industry="${e(slugify(item.industry))}">
+  <a href="${e(item.href)}" class="browser-mockup card-lift" data-cursor="preview" data-cursor-text="Explore">
+    <div class="browser-mockup__header">
+      <div class="browser-mockup__dots">
+        <span class="browser-mockup__dot browser-mockup__dot--red"></span>
+        <span class="browser-mockup__dot browser-mockup__dot--yellow"></span>
+        <span class="browser-mockup__dot browser-mockup__dot--green"></span>
+      </div>
+      <div class="browser-mockup__url">${e(item.domain)}</div>
+      ${statusBadge(item.status)}
+    </div>
+    <div class="browser-mockup__content">
+      ${image(item.image, 'browser-mockup__image')}
+      <div class="browser-mockup__overlay">
+        <h3 class="browser-mockup__title">${e(item.title)}</h3>
+        <div class="browser-mockup__tags">
+          ${tags}
+        </div>
+        <span class="browser-mockup__link">
+          ${linkLabel} <span class="browser-mockup__link-arrow">→</span>
+        </span>
+      </div>
+    </div>
+    ${preview(item)}
+  </a>
+</div>`;
+}
+
+// Featured entries span the grid; the rest fill two columns, sliding in from
+// the side they sit on
+export function showcaseGrid(entries) {
+  let column = 0;
+
+  return showcaseEntries(entries).map((item) => {
+    if (item.featured) return showcaseItem(item);
+    return showcaseItem(item, { animate: column++ % 2 === 0 ? 'slide-left' : 'slide-right' });
+  }).join('\n\n');
+}
+
+// "All" plus one chip per distinct type and industry, in manifest order
+export function showcaseFilters(entries) {
+  const items = showcaseEntries(entries);
+  const chip = (value, label, active = false) =>
+    `<button type="button" class="showcase-filter${active ? ' is-active' : ''}" data-showcase-filter="${e(value)}" aria-pressed="${active}">${e(label)}</button>`;
+
+  const group = (key, label) => {
+    const values = [...new Set(items.map((item) => item[key]).filter(Boolean))];
+
+    return `<div class="showcase-filters__group" role="group" aria-label="${label}">
+  <span class="showcase-filters__label">${label}</span>
+  ${values.map((value) => chip(`${key}:${slugify(value)}`, value)).join('\n  ')}
+</div>`;
+  };
+
+  return [chip('all', 'All', true), group('type', 'Type'), group('industry', 'Industry')].join('\n');
+}
+
+// ============================================
+// Raw data for runtime modules
+// ============================================
+// <script type="application/json" data-render="json" ...>; "<" is escaped so
+// no string in the data can close the script element
+export function inlineJson(items) {
+  return JSON.stringify(items, null, 2).replace(/</g, '\\u003c');
+}
+
+// ============================================
+// Registry: data-render="<name>" -> render(items)
+// ============================================
+const each = (card) => (items) => items.map((item) => card(item)).join('\n\n');
+
+export const templates = {
+  'product-card': each(productCard),
+  'property-card': each(propertyCard),
+  'treatment-card': each(treatmentCard),
+  'menu-item': each(menuItem),
+  showcase: showcaseGrid,
+  'showcase-filters': showcaseFilters,
+  json: inlineJson
+};
@@ -0,0 +1,70 @@
+/* ============================================
+   BUILD-TIME SECTIONS
+   Fills empty elements marked data-render with
+   cards built from JSON, so pages ship as static
+   HTML. Runs in Node from vite.config.js
+   ============================================ */
+
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { templates } from './cards.js';
+
+// <div class="grid" data-render="product-card" data-source="./data/products.json"></div>
+const PLACEHOLDER = /<([a-z][a-z0-9-]*)(\s[^>]*?\bdata-render="([^"]+)"[^>]*)>\s*<\/\1>/g;
+const BUILD_ATTRS = /\s+data-(?:render|source|key)="[^"]*"/g;
+
+function readAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+// "templates" or "a.b" -> value at that path
+function pick(data, path) {
+  if (!path) return data;
+  return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+// Returns the HTML with every placeholder filled; `onSource` sees each JSON
+// file read so the dev server can watch it
+export function renderSections(html, { dir, onSource } = {}) {
+  return html.replace(PLACEHOLDER, (match, tag, attrs, name) => {
+    const template = templates[name];
+    const source = readAttr(attrs, 'data-source');
+
+    if (!template) throw new Error(`Lumina: unknown card template "${name}"`);
+    if (!source) throw new Error(`Lumina: data-render="${name}" needs a data-source`);
+
+    const file = resolve(dir, source);
+    const items = pick(JSON.parse(readFileSync(file, 'utf8')), readAttr(attrs, 'data-key'));
+
+    if (!Array.isArray(items)) throw new Error(`Lumina: ${source} does not hold a list of items`);
+    onSource?.(file);
+
+    return `<${tag}${attrs.replace(BUILD_ATTRS, '')}>\n${template(items)}\n</${tag}>`;
+  });
+}
+
+// ============================================
+// Vite plugin
+// ============================================
+export function contentSections() {
+  const sources = new Set();
+
+  return {
+    name: 'lumina-content-sections',
+
+    // "pre" so Vite still rewrites the asset URLs in the rendered cards
+    transformIndexHtml: {
+      order: 'pre',
+      handler: (html, { filename }) =>
+        renderSections(html, { dir: dirname(filename), onSource: (file) => sources.add(file) })
+    },
+
+    // Data edits reload the page; there is no module to hot-swap
+    handleHotUpdate({ file, server }) {
+      if (!sources.has(resolve(file))) return;
+      server.ws.send({ type: 'full-reload' });
+      return [];
+    }
+  };
+}
@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { contentSections } from './src/templates/render.js';
 
 export default defineConfig({
   root: '.',
+  plugins: [contentSections()],
   build: {
     outDir: 'dist',
     rollupOptions: {